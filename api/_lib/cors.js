@@ -0,0 +1,40 @@
+// api/_lib/cors.js - CORS for every gateway function
+// CORS_ORIGINS is a comma separated list of allowed origins, or * (default) for any origin.
+
+const ALLOWED_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+
+const ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id', 'Range'];
+const EXPOSED_HEADERS = ['Retry-After', 'Content-Disposition', 'Content-Range', 'Accept-Ranges', 'X-Sample-Rate', 'X-Voice', 'X-Request-Id'];
+
+function allowedOrigin(origin) {
+    if (ALLOWED_ORIGINS.includes('*')) return '*';
+    return origin && ALLOWED_ORIGINS.includes(origin) ? origin : null;
+}
+
+// Wrap a handler with CORS headers, preflight handling and a method check
+export function withCors(handler, { methods = ['GET'] } = {}) {
+    return async function corsHandler(req, res) {
+        const origin = allowedOrigin(req.headers.origin);
+        if (origin) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+            res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS.join(', '));
+            res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
+            if (origin !== '*') {
+                res.setHeader('Vary', 'Origin');
+            }
+        }
+
+        // Handle preflight requests
+        if (req.method === 'OPTIONS') {
+            return res.status(204).end();
+        }
+
+        if (!methods.includes(req.method)) {
+            res.setHeader('Allow', [...methods, 'OPTIONS'].join(', '));
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        return handler(req, res);
+    };
+}
@@ -0,0 +1,158 @@
+// api/_lib/upstream.js - Forward requests to the Railway TTS backend
+// RAILWAY_URL is the backend to proxy to. UPSTREAM_API_KEY, when set, is sent for callers
+// that bring no key of their own, so browsers never need to hold one. It must be a key with
+// the "gateway" role: the backend then counts every caller's address, sent in
+// X-Forwarded-For, as a caller of its own with its own rate limits.
+
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+export const UPSTREAM_URL = (process.env.RAILWAY_URL || 'https://backendttc-production.up.railway.app').replace(/\/+$/, '');
+
+const UPSTREAM_API_KEY = process.env.UPSTREAM_API_KEY || null;
+const UPSTREAM_TIMEOUT = parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 15000;
+
+// Audio URLs in job records point at the backend's public address; the gateway serves them itself
+const UPSTREAM_PUBLIC_URLS = [...new Set([UPSTREAM_URL, ...(process.env.RAILWAY_PUBLIC_URL || '').split(',')])]
+    .map(url => url.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+const REQUEST_HEADERS = ['accept', 'content-type', 'authorization', 'x-api-key', 'x-request-id', 'range', 'if-none-match', 'if-modified-since', 'last-event-id'];
+const RESPONSE_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'cache-control', 'etag', 'last-modified', 'content-disposition', 'retry-after', 'x-request-id', 'x-sample-rate', 'x-voice'];
+
+function pickHeaders(source, names) {
+    const headers = {};
+    for (const name of names) {
+        const value = typeof source.get === 'function' ? source.get(name) : source[name];
+        if (value !== undefined && value !== null) {
+            headers[name] = value;
+        }
+    }
+    return headers;
+}
+
+// Vercel sets both headers to the caller's address and drops whatever the caller sent
+function clientAddress(req) {
+    const forwarded = (req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    return req.headers['x-real-ip'] || forwarded || req.socket?.remoteAddress || null;
+}
+
+function gatewayOrigin(req) {
+    const protocol = req.headers['x-forwarded-proto'] || 'https';
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    return `${protocol}://${host}`;
+}
+
+// Point backend audio and caption URLs at the gateway's /api/audio route
+function rewriteUrls(text, origin) {
+    return UPSTREAM_PUBLIC_URLS.reduce((result, url) => result.split(`${url}/audio/`).join(`${origin}/api/audio/`), text);
+}
+
+// Rewrite a text stream line by line, so a URL is never split across two chunks
+function lineRewriter(origin) {
+    let buffered = '';
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            buffered += chunk.toString();
+            const end = buffered.lastIndexOf('\n') + 1;
+            const complete = buffered.slice(0, end);
+            buffered = buffered.slice(end);
+            callback(null, complete ? rewriteUrls(complete, origin) : undefined);
+        },
+        flush(callback) {
+            callback(null, buffered ? rewriteUrls(buffered, origin) : undefined);
+        }
+    });
+}
+
+function requestBody(req) {
+    if (req.method === 'GET' || req.method === 'HEAD' || req.body === undefined || req.body === null) {
+        return undefined;
+    }
+    if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+        return req.body;
+    }
+    return JSON.stringify(req.body);
+}
+
+// Send the request on to the backend and stream its answer back.
+// JSON and event streams get their audio URLs rewritten to go through the gateway.
+export async function proxy(req, res, path) {
+    const url = `${UPSTREAM_URL}${path}`;
+    const headers = pickHeaders(req.headers, REQUEST_HEADERS);
+    if (UPSTREAM_API_KEY && !headers.authorization && !headers['x-api-key']) {
+        headers.authorization = `Bearer ${UPSTREAM_API_KEY}`;
+    }
+    const address = clientAddress(req);
+    if (address) {
+        headers['x-forwarded-for'] = address;
+    }
+    if (headers['content-type'] === undefined && req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+        headers['content-type'] = 'application/json';
+    }
+
+    // The timeout only covers waiting for the response headers; streams may run longer
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error('timeout')), UPSTREAM_TIMEOUT);
+    res.on('close', () => controller.abort());
+
+    let response;
+    try {
+        response = await fetch(url, {
+            method: req.method,
+            headers: headers,
+            body: requestBody(req),
+            redirect: 'manual',
+            signal: controller.signal
+        });
+    } catch (error) {
+        const timedOut = controller.signal.reason?.message === 'timeout';
+        console.error('Upstream request failed:', req.method, path, error.message);
+        return res.status(timedOut ? 504 : 502).json({
+            error: timedOut ? 'Upstream timed out' : 'Upstream unavailable',
+            upstream: UPSTREAM_URL
+        });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const responseHeaders = pickHeaders(response.headers, RESPONSE_HEADERS);
+    const contentType = responseHeaders['content-type'] || '';
+    const origin = gatewayOrigin(req);
+
+    res.status(response.status);
+
+    if (contentType.includes('application/json')) {
+        delete responseHeaders['content-length'];
+        Object.entries(responseHeaders).forEach(([name, value]) => res.setHeader(name, value));
+        return res.send(rewriteUrls(await response.text(), origin));
+    }
+
+    Object.entries(responseHeaders).forEach(([name, value]) => res.setHeader(name, value));
+
+    if (!response.body || req.method === 'HEAD') {
+        return res.end();
+    }
+
+    const body = Readable.fromWeb(response.body);
+    try {
+        if (contentType.includes('text/event-stream')) {
+            res.removeHeader('content-length');
+            res.flushHeaders();
+            await pipeline(body, lineRewriter(origin), res);
+        } else {
+            await pipeline(body, res);
+        }
+    } catch (error) {
+        // The client went away or the backend dropped the stream - nothing left to answer
+        if (!res.destroyed) res.destroy(error);
+    }
+}
+
+// Query string of the incoming request, minus the parameters Vercel adds for dynamic segments
+export function queryString(req, exclude = []) {
+    const params = new URLSearchParams(req.url.split('?')[1] || '');
+    exclude.forEach(name => params.delete(name));
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
@@ -0,0 +1,12 @@
+// api/audio/[...path].js - Generated audio and caption files, with range requests for seeking
+import { withCors } from '../_lib/cors.js';
+import { proxy } from '../_lib/upstream.js';
+
+export default withCors((req, res) => {
+    const segments = [].concat(req.query.path || []);
+    if (segments.length === 0 || segments.some(segment => !segment || segment === '.' || segment === '..')) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+
+    return proxy(req, res, `/audio/${segments.map(encodeURIComponent).join('/')}`);
+}, { methods: ['GET', 'HEAD'] });
@@ -1,18 +1,54 @@
 // api/health.js - Health check endpoint
-export default function handler(req, res) {
-  // Legg til CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
-  // Handle preflight requests
-  if (req.method === 'OPTIONS') {
-      return res.status(200).end();
-  }
-  
-  return res.status(200).json({
-      status: 'ok',
-      uptime: process.uptime(),
-      timestamp: new Date().toISOString()
-  });
-}
\ No newline at end of file
+// Reports the gateway itself and the Railway backend behind it, including how long
+// the backend took to answer. Answers 503 when the backend is down.
+import { withCors } from './_lib/cors.js';
+import { UPSTREAM_URL } from './_lib/upstream.js';
+
+const HEALTH_TIMEOUT = parseInt(process.env.HEALTH_TIMEOUT_MS, 10) || 5000;
+
+async function checkUpstream() {
+    const startedAt = Date.now();
+
+    try {
+        const response = await fetch(`${UPSTREAM_URL}/health`, { signal: AbortSignal.timeout(HEALTH_TIMEOUT) });
+        const latencyMs = Date.now() - startedAt;
+        const health = await response.json().catch(() => null);
+
+        return {
+            status: response.ok && health?.status === 'ok' ? 'ok' : 'error',
+            url: UPSTREAM_URL,
+            statusCode: response.status,
+            latencyMs: latencyMs,
+            uptime: health?.uptime ?? null,
+            models: health?.models_info?.files?.filter(file => file.endsWith('.onnx')).length ?? null,
+            piper: health?.piper_status ? { state: health.piper_status.state, available: health.piper_status.available } : null,
+            queue: health?.queue ?? null,
+            providers: health?.providers?.order ?? null
+        };
+    } catch (error) {
+        return {
+            status: 'error',
+            url: UPSTREAM_URL,
+            statusCode: null,
+            latencyMs: Date.now() - startedAt,
+            error: error.name === 'TimeoutError' ? `Timed out after ${HEALTH_TIMEOUT}ms` : error.message
+        };
+    }
+}
+
+export default withCors(async (req, res) => {
+    const upstream = await checkUpstream();
+    const healthy = upstream.status === 'ok';
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(healthy ? 200 : 503).json({
+        status: healthy ? 'ok' : 'degraded',
+        timestamp: new Date().toISOString(),
+        gateway: {
+            status: 'ok',
+            uptime: process.uptime(),
+            region: process.env.VERCEL_REGION || null
+        },
+        upstream: upstream
+    });
+});
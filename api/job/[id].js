@@ -0,0 +1,5 @@
+// api/job/[id].js - Job status and cancellation
+import { withCors } from '../_lib/cors.js';
+import { proxy } from '../_lib/upstream.js';
+
+export default withCors((req, res) => proxy(req, res, `/api/job/${encodeURIComponent(req.query.id)}`), { methods: ['GET', 'DELETE'] });
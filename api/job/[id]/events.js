@@ -0,0 +1,5 @@
+// api/job/[id]/events.js - Server-Sent Events with the job's status changes
+import { withCors } from '../../_lib/cors.js';
+import { proxy, queryString } from '../../_lib/upstream.js';
+
+export default withCors((req, res) => proxy(req, res, `/api/job/${encodeURIComponent(req.query.id)}/events${queryString(req, ['id'])}`));
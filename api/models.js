@@ -0,0 +1,5 @@
+// api/models.js - Voice catalog
+import { withCors } from './_lib/cors.js';
+import { proxy } from './_lib/upstream.js';
+
+export default withCors((req, res) => proxy(req, res, '/api/models'));
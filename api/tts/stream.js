@@ -0,0 +1,5 @@
+// api/tts/stream.js - Streaming synthesis, passed through chunk by chunk
+import { withCors } from '../_lib/cors.js';
+import { proxy, queryString } from '../_lib/upstream.js';
+
+export default withCors((req, res) => proxy(req, res, `/api/tts/stream${queryString(req)}`), { methods: ['GET', 'POST'] });
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Content-addressed cache of synthesized audio with a disk quota and LRU eviction
+
+// Same text, voice and settings always give the same key
+function normalizeText(text) {
+    return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function cacheKey({ text, voice, params = {} }) {
+    const sortedParams = Object.keys(params).sort().reduce((sorted, name) => {
+        if (params[name] !== undefined && params[name] !== null) {
+            sorted[name] = params[name];
+        }
+        return sorted;
+    }, {});
+
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ text: normalizeText(text), voice: voice, params: sortedParams }))
+        .digest('hex');
+}
+
+// The index lives at indexPath, outside dir: the audio files are served to anyone with a link,
+// but the list of keys must not be
+function createAudioCache({ dir, indexPath, maxBytes }) {
+    let entries = new Map();
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+
+    // Older versions kept the index next to the audio; move it out
+    const legacyIndexPath = path.join(dir, 'index.json');
+    if (fs.existsSync(legacyIndexPath)) {
+        try {
+            if (!fs.existsSync(indexPath)) {
+                fs.copyFileSync(legacyIndexPath, indexPath);
+            }
+            fs.unlinkSync(legacyIndexPath);
+        } catch (err) {
+            logger.error('Could not move audio cache index', { from: legacyIndexPath, to: indexPath, error: err });
+        }
+    }
+
+    // Load the index, dropping entries whose files have disappeared
+    if (fs.existsSync(indexPath)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+            entries = new Map(Object.entries(saved.entries || {})
+                .filter(([, entry]) => fs.existsSync(path.join(dir, entry.file))));
+        } catch (err) {
+            logger.error('Could not read audio cache index', { path: indexPath, error: err });
+        }
+    }
+
+    function saveIndex() {
+        try {
+            const tmpPath = `${indexPath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ entries: Object.fromEntries(entries) }));
+            fs.renameSync(tmpPath, indexPath);
+        } catch (err) {
+            logger.error('Could not write audio cache index', { path: indexPath, error: err });
+        }
+    }
+
+    function totalBytes() {
+        let total = 0;
+        for (const entry of entries.values()) {
+            total += entry.size;
+        }
+        return total;
+    }
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (!entry) return false;
+
+        try {
+            fs.unlinkSync(path.join(dir, entry.file));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.error('Could not delete cached audio', { file: entry.file, error: err });
+            }
+        }
+
+        entries.delete(key);
+        return true;
+    }
+
+    // Drop least recently used entries until we are under quota
+    function evict(keep) {
+        const byAge = [...entries.values()].sort((a, b) => a.lastAccessAt.localeCompare(b.lastAccessAt));
+        let total = totalBytes();
+
+        for (const entry of byAge) {
+            if (total <= maxBytes) break;
+            if (entry.key === keep) continue;
+
+            total -= entry.size;
+            remove(entry.key);
+            logger.info('Evicted cached audio', { cacheKey: entry.key, bytes: entry.size });
+        }
+    }
+
+    // Returns the cache entry and marks it as recently used
+    function lookup(key) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+
+        if (!fs.existsSync(path.join(dir, entry.file))) {
+            entries.delete(key);
+            saveIndex();
+            return null;
+        }
+
+        entry.lastAccessAt = new Date().toISOString();
+        entry.hits++;
+        saveIndex();
+        return { ...entry, path: path.join(dir, entry.file) };
+    }
+
+    // Copy a finished audio file into the cache
+    function store(key, sourcePath, meta = {}) {
+        const size = fs.statSync(sourcePath).size;
+        if (maxBytes <= 0 || size > maxBytes) {
+            return null;
+        }
+
+        const file = `${key}${path.extname(sourcePath)}`;
+        fs.copyFileSync(sourcePath, path.join(dir, file));
+
+        const now = new Date().toISOString();
+        entries.set(key, {
+            key: key,
+            file: file,
+            size: size,
+            createdAt: now,
+            lastAccessAt: now,
+            hits: 0,
+            ...meta
+        });
+
+        evict(key);
+        saveIndex();
+        return { ...entries.get(key), path: path.join(dir, file) };
+    }
+
+    function purge(key) {
+        if (key) {
+            const removed = remove(key);
+            saveIndex();
+            return removed ? 1 : 0;
+        }
+
+        const count = entries.size;
+        [...entries.keys()].forEach(remove);
+        saveIndex();
+        return count;
+    }
+
+    function stats() {
+        return {
+            directory: dir,
+            entries: entries.size,
+            bytes: totalBytes(),
+            max_bytes: maxBytes
+        };
+    }
+
+    function list() {
+        return [...entries.values()].sort((a, b) => b.lastAccessAt.localeCompare(a.lastAccessAt));
+    }
+
+    return {
+        lookup,
+        store,
+        purge,
+        stats,
+        list
+    };
+}
+
+module.exports = {
+    cacheKey,
+    createAudioCache
+};
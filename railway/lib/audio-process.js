@@ -0,0 +1,230 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { wavDuration } = require('./wav');
+
+// Optional clean-up of finished audio so clips from different providers sound alike when
+// played back to back: mono/stereo conversion, trimming silence at both ends, resampling and
+// loudness normalization (EBU R128 / ITU-R BS.1770, in LUFS). All of it runs in ffmpeg, so
+// long clips never block the event loop. Any input ffmpeg reads (WAV, MP3) becomes 16-bit WAV.
+
+const DEFAULT_LOUDNESS = -16;
+const LOUDNESS_RANGE = { min: -40, max: -5 };
+const SAMPLE_RATE_RANGE = { min: 8000, max: 48000 };
+const TRUE_PEAK_LIMIT = -1;
+const LOUDNESS_RANGE_TARGET = 11;
+const SILENCE_THRESHOLD = '-50dB';
+const SILENCE_PADDING = 0.05;
+
+// Request fields that turn post-processing on
+const POST_PROCESSING_FIELDS = ['loudness', 'trimSilence', 'sampleRate', 'channels'];
+
+// Request fields. Returns { options } - null when nothing was asked for - or { error }.
+function validatePostProcessing(input) {
+    const { loudness, trimSilence, sampleRate, channels } = input;
+    const options = {};
+
+    if (loudness !== undefined && loudness !== null && loudness !== false) {
+        const target = loudness === true ? DEFAULT_LOUDNESS : loudness;
+        if (typeof target !== 'number' || !Number.isFinite(target) || target < LOUDNESS_RANGE.min || target > LOUDNESS_RANGE.max) {
+            return { error: `loudness must be true or a target between ${LOUDNESS_RANGE.min} and ${LOUDNESS_RANGE.max} LUFS` };
+        }
+        options.loudness = target;
+    }
+
+    if (trimSilence !== undefined && trimSilence !== null) {
+        if (typeof trimSilence !== 'boolean') {
+            return { error: 'trimSilence must be true or false' };
+        }
+        if (trimSilence) options.trimSilence = true;
+    }
+
+    if (sampleRate !== undefined && sampleRate !== null) {
+        if (!Number.isInteger(sampleRate) || sampleRate < SAMPLE_RATE_RANGE.min || sampleRate > SAMPLE_RATE_RANGE.max) {
+            return { error: `sampleRate must be an integer between ${SAMPLE_RATE_RANGE.min} and ${SAMPLE_RATE_RANGE.max}` };
+        }
+        options.sampleRate = sampleRate;
+    }
+
+    if (channels !== undefined && channels !== null) {
+        if (channels !== 1 && channels !== 2) {
+            return { error: 'channels must be 1 (mono) or 2 (stereo)' };
+        }
+        options.channels = channels;
+    }
+
+    return { options: Object.keys(options).length > 0 ? options : null };
+}
+
+// Run ffmpeg without a shell and resolve with its stderr, where filters report what they found
+function runFfmpeg(args, { ffmpegPath = 'ffmpeg', timeout = 5 * 60 * 1000, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(ffmpegPath, ['-hide_banner', '-nostats', '-nostdin', ...args], {
+            stdio: ['ignore', 'ignore', 'pipe']
+        });
+
+        let stderr = '';
+        const kill = () => child.kill('SIGKILL');
+        const timer = setTimeout(kill, timeout);
+        signal?.addEventListener('abort', kill, { once: true });
+
+        child.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(new Error(error.code === 'ENOENT' ? `ffmpeg not found (${ffmpegPath})` : `ffmpeg failed to start: ${error.message}`));
+        });
+        child.on('close', (code, killedBy) => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', kill);
+            if (code === 0) {
+                resolve(stderr);
+            } else if (signal?.aborted) {
+                reject(signal.reason);
+            } else {
+                reject(new Error(killedBy ? `ffmpeg timed out after ${timeout}ms` : `ffmpeg exited with code ${code}: ${stderr.trim().split('\n').slice(-3).join(' ')}`));
+            }
+        });
+    });
+}
+
+// The JSON block loudnorm prints when it is done, or null without one
+function parseLoudnorm(stderr) {
+    const match = /\[Parsed_loudnorm[^\]]*\]\s*(\{[\s\S]*?\})/.exec(stderr);
+    return match ? JSON.parse(match[1]) : null;
+}
+
+// Input format and silent stretches, e.g. "silence_start: 1.5" ... "silence_end: 2.2"
+function parseAnalysis(stderr) {
+    const stream = /Audio: [^,]+, (\d+) Hz, (mono|stereo|(\d+) channels)/.exec(stderr);
+    const duration = /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(stderr);
+    const silences = [];
+
+    for (const match of stderr.matchAll(/silence_(start|end): (-?\d+(?:\.\d+)?)/g)) {
+        if (match[1] === 'start') {
+            silences.push({ start: Math.max(0, Number(match[2])), end: null });
+        } else if (silences.length > 0) {
+            silences[silences.length - 1].end = Number(match[2]);
+        }
+    }
+
+    return {
+        sampleRate: stream ? Number(stream[1]) : null,
+        channels: stream ? (stream[3] ? Number(stream[3]) : stream[2] === 'mono' ? 1 : 2) : null,
+        seconds: duration ? Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]) : null,
+        silences: silences,
+        loudnorm: parseLoudnorm(stderr)
+    };
+}
+
+// What to keep of the clip: the silent stretches touching either end go, minus a little padding.
+// Audio that is silent throughout is left alone.
+function trimRange(silences, seconds) {
+    const reachesEnd = silence => silence.end === null || silence.end >= seconds - 0.001;
+    const leading = silences.find(silence => silence.start <= 0.001);
+    const trailing = silences.find(reachesEnd);
+
+    if (leading && reachesEnd(leading)) {
+        return { start: 0, end: seconds };
+    }
+
+    const start = leading && leading.end !== null ? Math.max(0, leading.end - SILENCE_PADDING) : 0;
+    const end = trailing && trailing !== leading ? Math.min(seconds, trailing.start + SILENCE_PADDING) : seconds;
+
+    return end > start ? { start, end } : { start: 0, end: seconds };
+}
+
+const round = value => Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+// loudnorm reports numbers as strings, and "-inf" for silence
+const loudnormNumber = value => Number.isFinite(Number(value)) ? Number(value) : null;
+
+// Apply the options to an audio file and write the result to outputPath as 16-bit PCM WAV.
+// A first pass finds the silence and measures loudness, the second applies everything. The
+// loudness change is one gain for the whole clip, so speech keeps its dynamics - loudnorm's own
+// second pass barely changes clips shorter than its 3 second window, which most TTS clips are.
+// Resolves with a report of what was done, including how much was trimmed from the start so
+// caption timings can be moved.
+async function processAudio(inputPath, outputPath, options, { ffmpegPath, timeout, signal } = {}) {
+    const run = args => runFfmpeg(args, { ffmpegPath, timeout, signal });
+    // Mixing to mono or stereo changes the loudness, so both passes start with it
+    const layout = options.channels ? [`aformat=channel_layouts=${options.channels === 1 ? 'mono' : 'stereo'}`] : [];
+
+    const measureLoudness = `loudnorm=I=${options.loudness}:TP=${TRUE_PEAK_LIMIT}:LRA=${LOUDNESS_RANGE_TARGET}:print_format=json`;
+
+    const analysisFilters = [...layout, `silencedetect=noise=${SILENCE_THRESHOLD}:d=${SILENCE_PADDING}`];
+    if (options.loudness !== undefined && !options.trimSilence) {
+        analysisFilters.push(measureLoudness);
+    }
+    const analysis = parseAnalysis(await run(['-i', inputPath, '-af', analysisFilters.join(','), '-f', 'null', '-']));
+    if (!analysis.sampleRate || !analysis.seconds) {
+        throw new Error('ffmpeg could not read the audio format');
+    }
+
+    const report = {
+        input: { sampleRate: analysis.sampleRate, channels: analysis.channels, seconds: round(analysis.seconds) }
+    };
+    const filters = [...layout];
+
+    const range = options.trimSilence ? trimRange(analysis.silences, analysis.seconds) : { start: 0, end: analysis.seconds };
+    if (options.trimSilence) {
+        filters.push(`atrim=start=${range.start}:end=${range.end}`, 'asetpts=PTS-STARTPTS');
+        report.trimmed = { start: round(range.start), end: round(analysis.seconds - range.end) };
+    }
+
+    // Never push the true peak past -1 dBTP; such clips end up a little quieter than the target.
+    // Silence has no loudness to measure, so it is left as it is.
+    if (options.loudness !== undefined) {
+        // Trimmed clips are measured again once the silence is gone, as short clips are gated coarsely
+        const loudness = options.trimSilence
+            ? parseLoudnorm(await run(['-i', inputPath, '-af', [...filters, measureLoudness].join(','), '-f', 'null', '-']))
+            : analysis.loudnorm;
+        const measured = loudness ? loudnormNumber(loudness.input_i) : null;
+        const peak = loudness ? loudnormNumber(loudness.input_tp) : null;
+        let gain = measured !== null ? options.loudness - measured : 0;
+        const limited = peak !== null && peak + gain > TRUE_PEAK_LIMIT;
+        if (limited) gain = TRUE_PEAK_LIMIT - peak;
+
+        if (gain !== 0) {
+            filters.push(`volume=${gain.toFixed(2)}dB`);
+        }
+        report.loudness = {
+            target: options.loudness,
+            measured: measured,
+            result: measured !== null ? round(measured + gain) : null,
+            gainDb: round(gain),
+            limited: limited
+        };
+    }
+
+    const sampleRate = options.sampleRate || analysis.sampleRate;
+    if (sampleRate !== analysis.sampleRate) {
+        filters.push(`aresample=${sampleRate}`);
+    }
+
+    // WAV headers carry no channel layout, so the count is always given or ffmpeg cannot pick one
+    const channels = options.channels || analysis.channels;
+    await run([
+        '-y', '-i', inputPath,
+        ...(filters.length > 0 ? ['-af', filters.join(',')] : []),
+        '-ac', String(channels),
+        '-acodec', 'pcm_s16le', '-f', 'wav', outputPath
+    ]);
+
+    report.output = {
+        sampleRate: sampleRate,
+        channels: channels,
+        seconds: round(wavDuration(await fs.promises.readFile(outputPath)))
+    };
+
+    return {
+        report: report,
+        trimmedStart: options.trimSilence ? range.start : 0
+    };
+}
+
+module.exports = {
+    DEFAULT_LOUDNESS,
+    POST_PROCESSING_FIELDS,
+    validatePostProcessing,
+    processAudio
+};
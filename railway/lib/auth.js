@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+
+// API keys with a role and per-key rate limits. Keys are configured as a JSON array:
+//   [{ "id": "web", "key": "...", "role": "client", "requestsPerMinute": 60, "charactersPerDay": 200000,
+//      "webhookSecret": "..." }]
+// Clients may synthesize; admins may also use the admin routes. webhookSecret signs the job
+// callbacks sent for that key.
+// A gateway key belongs to a proxy such as the Vercel API, which calls on behalf of many people.
+// It may synthesize like a client, but every address the gateway forwards in X-Forwarded-For
+// counts as a caller of its own, with the key's limits. Only the gateway holds the key, so the
+// header is only believed when it comes with one.
+
+const ROLES = ['client', 'gateway', 'admin'];
+const LIMITS = ['requestsPerMinute', 'charactersPerDay'];
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Parse and validate the configured keys; throws on anything that would silently lock people out
+function parseApiKeys(json) {
+    if (!json) return [];
+
+    const keys = JSON.parse(json);
+    if (!Array.isArray(keys)) {
+        throw new Error('API keys must be a JSON array');
+    }
+
+    const ids = new Set();
+    return keys.map((entry, index) => {
+        if (!entry || typeof entry.id !== 'string' || !entry.id) {
+            throw new Error(`API key ${index + 1} needs an id`);
+        }
+        if (ids.has(entry.id)) {
+            throw new Error(`Duplicate API key id: ${entry.id}`);
+        }
+        ids.add(entry.id);
+
+        if (typeof entry.key !== 'string' || entry.key.length < 16) {
+            throw new Error(`API key ${entry.id} must be a string of at least 16 characters`);
+        }
+
+        const role = entry.role || 'client';
+        if (!ROLES.includes(role)) {
+            throw new Error(`API key ${entry.id} has unknown role ${role}`);
+        }
+
+        if (entry.webhookSecret !== undefined && (typeof entry.webhookSecret !== 'string' || entry.webhookSecret.length < 16)) {
+            throw new Error(`API key ${entry.id}: webhookSecret must be a string of at least 16 characters`);
+        }
+
+        for (const limit of LIMITS) {
+            const value = entry[limit];
+            if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+                throw new Error(`API key ${entry.id}: ${limit} must be a non-negative integer`);
+            }
+        }
+
+        return { ...entry, role };
+    });
+}
+
+function createAuth({ keys = [], allowAnonymous = false, defaultLimits, usageStore, webhookSecret = null }) {
+    const keysByHash = new Map(keys.map(entry => [hashKey(entry.key), entry]));
+    const keysById = new Map(keys.map(entry => [entry.id, entry]));
+
+    // Authorization: Bearer <key>, X-API-Key, or ?api_key= for EventSource and <audio src>
+    function keyFromRequest(req) {
+        const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+        return (bearer && bearer[1].trim()) || req.get('x-api-key') || req.query.api_key || null;
+    }
+
+    // The address the gateway calls for - the left-most X-Forwarded-For entry, as proxies append theirs
+    function forwardedFor(req) {
+        const forwarded = (req.get('x-forwarded-for') || '').split(',')[0].trim();
+        return forwarded || req.ip;
+    }
+
+    // The configured entry behind a caller id - gateway callers are "<key id>:<address>"
+    function entryFor(id) {
+        return keysById.get(id) || keys.find(entry => entry.role === 'gateway' && id.startsWith(`${entry.id}:`)) || null;
+    }
+
+    function limitsFor(entry) {
+        return {
+            requestsPerMinute: entry.requestsPerMinute ?? defaultLimits.requestsPerMinute,
+            charactersPerDay: entry.charactersPerDay ?? defaultLimits.charactersPerDay
+        };
+    }
+
+    // Resolve the caller and check its role. Anonymous callers are tracked per IP address.
+    function authenticate(role) {
+        return (req, res, next) => {
+            const provided = keyFromRequest(req);
+
+            if (provided) {
+                const entry = keysByHash.get(hashKey(provided));
+                if (!entry) {
+                    return res.status(401).json({ error: 'Invalid API key' });
+                }
+                if (role === 'admin' && entry.role !== 'admin') {
+                    return res.status(403).json({ error: 'This API key cannot use admin routes' });
+                }
+                req.apiKey = entry.role === 'gateway'
+                    ? { id: `${entry.id}:${forwardedFor(req)}`, role: 'gateway', limits: limitsFor(entry) }
+                    : { id: entry.id, role: entry.role, limits: limitsFor(entry) };
+                return next();
+            }
+
+            if (role === 'admin' || !allowAnonymous) {
+                return res.status(401).json({ error: role === 'admin' ? 'Admin API key required' : 'API key required' });
+            }
+
+            req.apiKey = { id: `anonymous:${req.ip}`, role: 'anonymous', limits: limitsFor({}) };
+            next();
+        };
+    }
+
+    // Fixed windows: a window restarts once its length has passed since it opened
+    function currentWindow(window, length, now) {
+        return window && now - window.start < length ? window : { start: now, count: 0 };
+    }
+
+    function usageRecord(id, now) {
+        const record = usageStore.get(id) || { id, requests: 0, characters: 0, rejected: 0, firstUsedAt: null, lastUsedAt: null };
+        record.minute = currentWindow(record.minute, MINUTE, now);
+        record.day = currentWindow(record.day, DAY, now);
+        return record;
+    }
+
+    // Count the request against the caller's limits; countCharacters(req) says how much text it carries
+    function rateLimit(countCharacters) {
+        return (req, res, next) => {
+            const now = Date.now();
+            const { id, limits } = req.apiKey;
+            const record = usageRecord(id, now);
+            const characters = countCharacters(req);
+
+            let exceeded = null;
+            if (record.minute.count + 1 > limits.requestsPerMinute) {
+                exceeded = { limit: 'requestsPerMinute', max: limits.requestsPerMinute, resetAt: record.minute.start + MINUTE };
+            } else if (record.day.count + characters > limits.charactersPerDay) {
+                exceeded = { limit: 'charactersPerDay', max: limits.charactersPerDay, resetAt: record.day.start + DAY };
+            }
+
+            if (exceeded) {
+                record.rejected++;
+                usageStore.set(id, record);
+
+                const retryAfter = Math.max(1, Math.ceil((exceeded.resetAt - now) / 1000));
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    error: `Rate limit exceeded: ${exceeded.limit}`,
+                    limit: exceeded.limit,
+                    max: exceeded.max,
+                    retryAfter: retryAfter
+                });
+            }
+
+            record.requests++;
+            record.characters += characters;
+            record.minute.count++;
+            record.day.count += characters;
+            record.lastUsedAt = new Date(now).toISOString();
+            record.firstUsedAt = record.firstUsedAt || record.lastUsedAt;
+            usageStore.set(id, record);
+            next();
+        };
+    }
+
+    function describeUsage(id, role, limits) {
+        const now = Date.now();
+        const record = usageRecord(id, now);
+
+        return {
+            id: id,
+            role: role,
+            limits: limits,
+            requests: record.requests,
+            characters: record.characters,
+            rejected: record.rejected,
+            firstUsedAt: record.firstUsedAt,
+            lastUsedAt: record.lastUsedAt,
+            minute: { requests: record.minute.count, resetsAt: new Date(record.minute.start + MINUTE).toISOString() },
+            day: { characters: record.day.count, resetsAt: new Date(record.day.start + DAY).toISOString() }
+        };
+    }
+
+    // Usage for one caller
+    function usage(apiKey) {
+        return describeUsage(apiKey.id, apiKey.role, apiKey.limits);
+    }
+
+    // Usage for every configured key and every anonymous or gateway caller seen so far
+    function allUsage() {
+        const configured = keys
+            .filter(entry => entry.role !== 'gateway')
+            .map(entry => describeUsage(entry.id, entry.role, limitsFor(entry)));
+        const callers = [...usageStore.values()]
+            .map(record => {
+                if (record.id.startsWith('anonymous:')) return describeUsage(record.id, 'anonymous', limitsFor({}));
+                const entry = entryFor(record.id);
+                return entry && entry.role === 'gateway' && entry.id !== record.id ? describeUsage(record.id, 'gateway', limitsFor(entry)) : null;
+            })
+            .filter(Boolean);
+        return [...configured, ...callers];
+    }
+
+    // Secret for signing callbacks to this caller - its own, or the shared fallback
+    function webhookSecretFor(id) {
+        const entry = entryFor(id);
+        return (entry && entry.webhookSecret) || webhookSecret;
+    }
+
+    return {
+        authenticate,
+        rateLimit,
+        usage,
+        allUsage,
+        webhookSecret: webhookSecretFor
+    };
+}
+
+module.exports = {
+    parseApiKeys,
+    createAuth
+};
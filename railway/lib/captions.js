@@ -0,0 +1,73 @@
+// Sentence-level captions built from the real length of each synthesized segment
+
+// Place segments on the audio timeline the same way concatWav joins them: parts are
+// { text, seconds } or { silence }, with gapSeconds between two consecutive spoken parts
+function buildCues(parts, { gapSeconds = 0 } = {}) {
+    const cues = [];
+    let position = 0;
+
+    parts.forEach((part, i) => {
+        if (part.silence !== undefined) {
+            position += part.silence;
+            return;
+        }
+        if (i > 0 && parts[i - 1].silence === undefined) {
+            position += gapSeconds;
+        }
+
+        const start = position;
+        position += part.seconds;
+
+        const text = part.text.replace(/\s+/g, ' ').trim();
+        if (text) {
+            cues.push({ start: start, end: position, text: text });
+        }
+    });
+
+    return cues;
+}
+
+// Move cues after audio was cut at the start, dropping what no longer falls inside the clip
+function shiftCues(cues, offset, duration) {
+    return cues
+        .map(cue => ({ start: Math.max(0, cue.start - offset), end: Math.min(duration, cue.end - offset), text: cue.text }))
+        .filter(cue => cue.end > cue.start);
+}
+
+// 3725.5 -> "01:02:05.500" (WebVTT) or "01:02:05,500" (SRT)
+function formatTimestamp(seconds, separator) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// "-->" ends the timing line, so it can never appear in a cue
+function cueText(text) {
+    return text.replace(/-->/g, '->');
+}
+
+function toWebVtt(cues) {
+    const blocks = cues.map((cue, i) => [
+        String(i + 1),
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+        cueText(cue.text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    ].join('\n'));
+
+    return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+function toSrt(cues) {
+    return cues.map((cue, i) => [
+        String(i + 1),
+        `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+        cueText(cue.text)
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+module.exports = {
+    buildCues,
+    shiftCues,
+    formatTimestamp,
+    toWebVtt,
+    toSrt
+};
@@ -0,0 +1,122 @@
+// Split long text into Piper-sized chunks at paragraph and sentence boundaries
+
+// Common Norwegian abbreviations that end with a period but do not end a sentence
+const ABBREVIATIONS = new Set([
+    'bl.a', 'ca', 'dvs', 'e.l', 'el', 'etc', 'evt', 'f.eks', 'fhv', 'flg', 'f.o.m', 'ft',
+    'iflg', 'jf', 'jfr', 'kap', 'kl', 'kr', 'mht', 'mm', 'm.a.o', 'mfl', 'm.fl',
+    'mv', 'm.v', 'nr', 'o.a', 'o.l', 'osv', 'pga', 'p.g.a', 'pr', 'ref', 'sa', 'sml',
+    'st', 'stk', 'sv', 't.o.m', 'tlf', 'vha', 'v.h.a', 'vs', 'dr', 'prof', 'adv', 'red'
+]);
+
+const SENTENCE_END = /[.!?…]+["»”')\]]*$/;
+
+// Decide whether the token ending with a period really ends the sentence
+function endsSentence(token, nextToken) {
+    if (!SENTENCE_END.test(token)) {
+        return false;
+    }
+
+    // ! ? and … always end a sentence
+    if (!/\.["»”')\]]*$/.test(token) || /\.{3}$/.test(token)) {
+        return true;
+    }
+
+    const word = token.replace(/\.["»”')\]]*$/, '').replace(/^["«“'(\[]+/, '').toLowerCase();
+
+    if (ABBREVIATIONS.has(word)) {
+        return false;
+    }
+
+    // Initials such as "H. Ibsen"
+    if (/^\p{L}$/u.test(word)) {
+        return false;
+    }
+
+    // Ordinals and dates ("3. plass", "17. mai") and unknown abbreviations continue in lower case
+    if (nextToken && /^\p{Ll}/u.test(nextToken)) {
+        return false;
+    }
+
+    return true;
+}
+
+// Split a paragraph into sentences
+function splitSentences(paragraph) {
+    const tokens = paragraph.split(/\s+/).filter(Boolean);
+    const sentences = [];
+    let current = [];
+
+    tokens.forEach((token, i) => {
+        current.push(token);
+        if (endsSentence(token, tokens[i + 1])) {
+            sentences.push(current.join(' '));
+            current = [];
+        }
+    });
+
+    if (current.length > 0) {
+        sentences.push(current.join(' '));
+    }
+
+    return sentences;
+}
+
+// Break a single over-long sentence at clause boundaries, then at word boundaries
+function splitLongSentence(sentence, maxLength) {
+    const pieces = [];
+    let current = '';
+
+    const clauses = sentence.split(/(?<=[,;:–—])\s+/);
+    const words = clauses.flatMap(clause => clause.length > maxLength ? clause.split(/\s+/) : [clause]);
+
+    for (const word of words) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (candidate.length <= maxLength || !current) {
+            current = candidate;
+        } else {
+            pieces.push(current);
+            current = word;
+        }
+    }
+
+    if (current) {
+        pieces.push(current);
+    }
+
+    return pieces;
+}
+
+// Split text into chunks of at most maxLength characters, never crossing a paragraph
+function splitIntoChunks(text, maxLength = 500) {
+    const chunks = [];
+    const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+
+    for (const paragraph of paragraphs) {
+        let current = '';
+
+        for (const sentence of splitSentences(paragraph)) {
+            const pieces = sentence.length > maxLength ? splitLongSentence(sentence, maxLength) : [sentence];
+
+            for (const piece of pieces) {
+                const candidate = current ? `${current} ${piece}` : piece;
+                if (candidate.length <= maxLength) {
+                    current = candidate;
+                } else {
+                    if (current) chunks.push(current);
+                    current = piece;
+                }
+            }
+        }
+
+        if (current) {
+            chunks.push(current);
+        }
+    }
+
+    return chunks;
+}
+
+module.exports = {
+    splitSentences,
+    splitIntoChunks
+};
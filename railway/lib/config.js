@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { parseApiKeys } = require('./auth');
+
+// Server configuration. Every setting has a default, can be given in a JSON config file
+// (CONFIG_FILE, nested the same way as the keys below) and is overridden by its environment
+// variable. Everything is checked at startup, so a typo stops the server with a list of
+// problems instead of failing requests later.
+
+const SETTINGS = [
+    { key: 'port', env: 'PORT', type: 'integer', default: 3000, min: 0, max: 65535 },
+    { key: 'publicUrl', env: 'PUBLIC_URL', type: 'url', default: null },
+
+    { key: 'paths.models', env: 'MODELS_DIR', type: 'path', default: '/app/models' },
+    { key: 'paths.audio', env: 'AUDIO_DIR', type: 'path', default: '/tmp/audio' },
+    { key: 'paths.piper', env: 'PIPER_DIR', type: 'path', default: '/tmp/piper' },
+
+    { key: 'stores.type', env: 'JOB_STORE', type: 'enum', values: ['file', 'memory'], default: 'file' },
+    { key: 'stores.jobs', env: 'JOB_STORE_PATH', type: 'path', default: '/tmp/tts-jobs.json' },
+    { key: 'stores.batches', env: 'BATCH_STORE_PATH', type: 'path', default: '/tmp/tts-batches.json' },
+    { key: 'stores.usage', env: 'USAGE_STORE_PATH', type: 'path', default: '/tmp/tts-usage.json' },
+    // Kept out of paths.audio, which is served as is
+    { key: 'stores.audioCache', env: 'AUDIO_CACHE_INDEX_PATH', type: 'path', default: '/tmp/tts-audio-cache.json' },
+
+    { key: 'limits.maxTextLength', env: 'MAX_TEXT_LENGTH', type: 'integer', default: 20000, min: 1 },
+    { key: 'limits.maxBatchItems', env: 'MAX_BATCH_ITEMS', type: 'integer', default: 500, min: 1 },
+    { key: 'limits.maxModelBytes', env: 'MAX_MODEL_BYTES', type: 'integer', default: 200 * 1024 * 1024, min: 1 },
+    { key: 'limits.maxConcurrentJobs', env: 'MAX_CONCURRENT_JOBS', type: 'integer', default: 2, min: 1 },
+    // Streams start their own Piper process instead of waiting in the job queue
+    { key: 'limits.maxConcurrentStreams', env: 'MAX_CONCURRENT_STREAMS', type: 'integer', default: 2, min: 1 },
+
+    // How long finished audio and job records are kept
+    { key: 'cleanup.audioTtlMs', env: 'AUDIO_TTL_MS', type: 'integer', default: 5 * 60 * 1000, min: 1000 },
+    { key: 'cleanup.jobTtlMs', env: 'JOB_TTL_MS', type: 'integer', default: 60 * 60 * 1000, min: 1000 },
+    { key: 'cleanup.intervalMs', env: 'CLEANUP_INTERVAL_MS', type: 'integer', default: 60 * 60 * 1000, min: 1000 },
+
+    { key: 'cors.origins', env: 'CORS_ORIGINS', type: 'list', default: ['*'] },
+    { key: 'providers', env: 'TTS_PROVIDERS', type: 'list', default: ['piper', 'google'] },
+    { key: 'cache.maxBytes', env: 'AUDIO_CACHE_MAX_BYTES', type: 'integer', default: 500 * 1024 * 1024, min: 0 },
+
+    // ffmpeg does the optional audio post-processing (loudness, trimming, resampling)
+    { key: 'audio.ffmpegPath', env: 'FFMPEG_PATH', type: 'string', default: 'ffmpeg' },
+
+    // PIPER_SOURCE is a URL or a local tarball path ({version} is filled in). PIPER_PATH points
+    // at a ready-made executable instead, which skips the install entirely. The default GitHub
+    // download needs PIPER_SHA256; other sources only with PIPER_REQUIRE_CHECKSUM.
+    { key: 'piper.version', env: 'PIPER_VERSION', type: 'string', default: '1.2.0' },
+    { key: 'piper.source', env: 'PIPER_SOURCE', type: 'string', default: null },
+    { key: 'piper.sha256', env: 'PIPER_SHA256', type: 'sha256', default: null },
+    { key: 'piper.requireChecksum', env: 'PIPER_REQUIRE_CHECKSUM', type: 'boolean', default: false },
+    { key: 'piper.executable', env: 'PIPER_PATH', type: 'path', default: null },
+    { key: 'piper.workersPerVoice', env: 'PIPER_WORKERS_PER_VOICE', type: 'integer', default: 1, min: 1 },
+    { key: 'piper.maxWorkers', env: 'PIPER_MAX_WORKERS', type: 'integer', default: 8, min: 1 },
+    { key: 'piper.installOnStart', env: 'PIPER_INSTALL_ON_START', type: 'boolean', default: true },
+
+    // API_KEYS is a JSON array of { id, key, role, requestsPerMinute, charactersPerDay, webhookSecret }.
+    // allowAnonymous defaults to true only when there are no client or gateway keys.
+    { key: 'auth.apiKeys', env: 'API_KEYS', type: 'json', default: [] },
+    { key: 'auth.adminApiKey', env: 'ADMIN_API_KEY', type: 'string', default: null },
+    { key: 'auth.allowAnonymous', env: 'ALLOW_ANONYMOUS', type: 'boolean', default: null },
+    { key: 'auth.requestsPerMinute', env: 'RATE_LIMIT_REQUESTS_PER_MINUTE', type: 'integer', default: 60, min: 0 },
+    { key: 'auth.charactersPerDay', env: 'RATE_LIMIT_CHARACTERS_PER_DAY', type: 'integer', default: 200000, min: 0 },
+
+    { key: 'webhooks.secret', env: 'WEBHOOK_SECRET', type: 'string', default: null },
+    { key: 'webhooks.allowHttp', env: 'WEBHOOK_ALLOW_HTTP', type: 'boolean', default: false },
+    // Host names callbacks may go to; these may be internal. Without it any public address is allowed.
+    { key: 'webhooks.allowedHosts', env: 'WEBHOOK_ALLOWED_HOSTS', type: 'list', default: null },
+    { key: 'webhooks.maxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', default: 6, min: 1 },
+    { key: 'webhooks.retryDelayMs', env: 'WEBHOOK_RETRY_DELAY_MS', type: 'integer', default: 5000, min: 0 },
+    { key: 'webhooks.timeoutMs', env: 'WEBHOOK_TIMEOUT_MS', type: 'integer', default: 10000, min: 1 }
+];
+
+function configError(problems) {
+    return Object.assign(new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`), { problems: problems });
+}
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, name) => value && typeof value === 'object' ? value[name] : undefined, object);
+}
+
+function setPath(object, key, value) {
+    const names = key.split('.');
+    const last = names.pop();
+    const parent = names.reduce((target, name) => target[name] = target[name] || {}, object);
+    parent[last] = value;
+}
+
+// Turn a value from the environment (always a string) or the config file into the setting's type.
+// Returns { value } or { error } describing what is wrong with it.
+function parseValue(setting, raw) {
+    if (raw === null) return { value: null };
+    const isText = typeof raw === 'string';
+
+    switch (setting.type) {
+        case 'integer': {
+            const value = isText && /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+            if (!Number.isInteger(value)) return { error: 'must be a whole number' };
+            if (setting.min !== undefined && value < setting.min) return { error: `must be at least ${setting.min}` };
+            if (setting.max !== undefined && value > setting.max) return { error: `must be at most ${setting.max}` };
+            return { value: value };
+        }
+        case 'boolean':
+            if (raw === true || raw === 'true') return { value: true };
+            if (raw === false || raw === 'false') return { value: false };
+            return { error: 'must be true or false' };
+        case 'list': {
+            const items = isText ? raw.split(',') : raw;
+            if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) return { error: 'must be a list of names' };
+            const list = items.map(item => item.trim()).filter(Boolean);
+            return list.length > 0 ? { value: list } : { error: 'must not be empty' };
+        }
+        case 'enum':
+            return setting.values.includes(raw) ? { value: raw } : { error: `must be one of ${setting.values.join(', ')}` };
+        case 'path':
+            return isText && raw !== '' ? { value: path.resolve(raw) } : { error: 'must be a path' };
+        case 'url': {
+            let url;
+            try {
+                url = new URL(raw);
+            } catch (err) {
+                return { error: 'must be an absolute URL' };
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return { error: 'must be an http or https URL' };
+            return { value: raw.replace(/\/+$/, '') };
+        }
+        case 'sha256':
+            return isText && /^[0-9a-f]{64}$/i.test(raw) ? { value: raw.toLowerCase() } : { error: 'must be 64 hex characters' };
+        case 'json':
+            if (!isText) return { value: raw };
+            try {
+                return { value: JSON.parse(raw) };
+            } catch (err) {
+                return { error: `is not valid JSON: ${err.message}` };
+            }
+        default:
+            return isText ? { value: raw } : { error: 'must be a string' };
+    }
+}
+
+function readConfigFile(file) {
+    let contents;
+    try {
+        contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw configError([`Could not read config file ${file}: ${err.message}`]);
+    }
+    if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+        throw configError([`Config file ${file} must contain a JSON object`]);
+    }
+    return contents;
+}
+
+// Every leaf key in the file, so settings that do not exist can be reported
+function fileKeys(object, prefix = '') {
+    return Object.entries(object).flatMap(([name, value]) => {
+        const key = prefix + name;
+        const known = SETTINGS.some(setting => setting.key === key);
+        return !known && value && typeof value === 'object' && !Array.isArray(value) ? fileKeys(value, `${key}.`) : [key];
+    });
+}
+
+// Build the configuration from defaults < config file < environment < values.
+// values is a nested object in the same shape as the result - handy for tests and scripts.
+function loadConfig({ env = process.env, file = env.CONFIG_FILE, values = {} } = {}) {
+    const contents = file ? readConfigFile(file) : {};
+    const problems = [];
+    const config = {};
+
+    fileKeys(contents)
+        .filter(key => !SETTINGS.some(setting => setting.key === key))
+        .forEach(key => problems.push(`Unknown setting in config file: ${key}`));
+
+    for (const setting of SETTINGS) {
+        const sources = [
+            [getPath(values, setting.key), setting.key],
+            [env[setting.env] !== undefined && env[setting.env] !== '' ? env[setting.env] : undefined, setting.env],
+            [getPath(contents, setting.key), `${setting.key} in ${file}`]
+        ];
+        const [raw, source] = sources.find(([value]) => value !== undefined) || [setting.default, null];
+
+        const { value, error } = source ? parseValue(setting, raw) : { value: raw };
+        if (error) {
+            problems.push(`${source} ${error}`);
+        }
+        setPath(config, setting.key, error ? setting.default : value);
+    }
+
+    // Railway tells us the public domain
+    if (!config.publicUrl && env.RAILWAY_PUBLIC_DOMAIN) {
+        config.publicUrl = `https://${env.RAILWAY_PUBLIC_DOMAIN}`;
+    }
+
+    // ADMIN_API_KEY is shorthand for a single admin entry
+    try {
+        const entries = [...(config.auth.apiKeys || [])];
+        if (config.auth.adminApiKey) {
+            entries.push({ id: 'admin', key: config.auth.adminApiKey, role: 'admin' });
+        }
+        config.auth.apiKeys = parseApiKeys(JSON.stringify(entries));
+    } catch (err) {
+        problems.push(`API_KEYS: ${err.message}`);
+        config.auth.apiKeys = [];
+    }
+    delete config.auth.adminApiKey;
+
+    if (config.auth.allowAnonymous === null) {
+        config.auth.allowAnonymous = !config.auth.apiKeys.some(key => key.role === 'client' || key.role === 'gateway');
+    }
+
+    if (config.webhooks.secret !== null && config.webhooks.secret.length < 16) {
+        problems.push('WEBHOOK_SECRET must be at least 16 characters');
+    }
+
+    const relativeIndex = path.relative(config.paths.audio, config.stores.audioCache);
+    if (!relativeIndex.startsWith('..') && !path.isAbsolute(relativeIndex)) {
+        problems.push('AUDIO_CACHE_INDEX_PATH must be outside AUDIO_DIR, which is served publicly');
+    }
+
+    if (config.piper.requireChecksum && !config.piper.sha256 && !config.piper.executable) {
+        problems.push('PIPER_REQUIRE_CHECKSUM is set but PIPER_SHA256 is missing');
+    }
+
+    if (config.piper.executable && !fs.existsSync(config.piper.executable)) {
+        problems.push(`PIPER_PATH does not exist: ${config.piper.executable}`);
+    }
+
+    if (problems.length > 0) {
+        throw configError(problems);
+    }
+
+    config.file = file ? path.resolve(file) : null;
+    return config;
+}
+
+module.exports = {
+    SETTINGS,
+    loadConfig
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// In-memory job store - jobs are lost when the process exits
+function createMemoryJobStore() {
+    const jobs = new Map();
+
+    return {
+        type: 'memory',
+        get: (jobId) => jobs.get(jobId),
+        set: (jobId, job) => {
+            jobs.set(jobId, job);
+            return job;
+        },
+        delete: (jobId) => jobs.delete(jobId),
+        entries: () => jobs.entries(),
+        values: () => jobs.values(),
+        flush: () => {}
+    };
+}
+
+// File-backed job store - keeps everything in memory and writes a JSON snapshot on change.
+// Changes are written in the background, at most one write at a time; flush() writes
+// synchronously for shutdown.
+function createFileJobStore(filePath, { writeDelay = 200 } = {}) {
+    const store = createMemoryJobStore();
+    let writeTimer = null;
+    let writing = false;
+    let changedWhileWriting = false;
+    // Bumped by every write, so a slow background write never replaces a newer snapshot
+    let generation = 0;
+
+    if (fs.existsSync(filePath)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            Object.entries(saved.jobs || {}).forEach(([jobId, job]) => store.set(jobId, job));
+        } catch (err) {
+            logger.error('Could not read job store', { path: filePath, error: err });
+        }
+    } else {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    function snapshot() {
+        return JSON.stringify({ savedAt: new Date().toISOString(), jobs: Object.fromEntries(store.entries()) });
+    }
+
+    // Write to a temp file and rename so a crash never leaves a half-written store
+    function flush() {
+        if (writeTimer) {
+            clearTimeout(writeTimer);
+            writeTimer = null;
+        }
+        changedWhileWriting = false;
+        generation++;
+
+        try {
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, snapshot());
+            fs.renameSync(tmpPath, filePath);
+        } catch (err) {
+            logger.error('Could not write job store', { path: filePath, error: err });
+        }
+    }
+
+    async function write() {
+        writeTimer = null;
+        if (writing) {
+            changedWhileWriting = true;
+            return;
+        }
+
+        writing = true;
+        const current = ++generation;
+        const tmpPath = `${filePath}.writing`;
+        try {
+            await fs.promises.writeFile(tmpPath, snapshot());
+            if (current === generation) {
+                await fs.promises.rename(tmpPath, filePath);
+                // flush() ran while the rename was under way and may have been overtaken by it
+                if (current !== generation) flush();
+            } else {
+                await fs.promises.unlink(tmpPath);
+            }
+        } catch (err) {
+            logger.error('Could not write job store', { path: filePath, error: err });
+        }
+        writing = false;
+
+        if (changedWhileWriting) {
+            changedWhileWriting = false;
+            scheduleFlush();
+        }
+    }
+
+    // Batch bursts of progress updates into one write
+    function scheduleFlush() {
+        if (!writeTimer) {
+            writeTimer = setTimeout(write, writeDelay);
+        }
+    }
+
+    return {
+        ...store,
+        type: 'file',
+        path: filePath,
+        set: (jobId, job) => {
+            store.set(jobId, job);
+            scheduleFlush();
+            return job;
+        },
+        delete: (jobId) => {
+            const deleted = store.delete(jobId);
+            scheduleFlush();
+            return deleted;
+        },
+        flush
+    };
+}
+
+// Pick a store implementation from configuration
+function createJobStore({ type = 'file', filePath } = {}) {
+    if (type === 'memory') {
+        return createMemoryJobStore();
+    }
+
+    if (type === 'file') {
+        return createFileJobStore(filePath);
+    }
+
+    throw new Error(`Unknown job store type: ${type}`);
+}
+
+module.exports = {
+    createJobStore,
+    createMemoryJobStore,
+    createFileJobStore
+};
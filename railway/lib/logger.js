@@ -0,0 +1,83 @@
+// Structured JSON logging - one object per line with time, level, message and fields.
+// User text is never written in full: LOG_TEXT=truncate (default) keeps a short preview,
+// LOG_TEXT=redact keeps only the length, LOG_TEXT=full logs everything.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const TEXT_FIELDS = ['text', 'spokenText', 'ssml'];
+const SECRET_FIELDS = ['authorization', 'api_key', 'key', 'secret', 'token', 'password'];
+const PREVIEW_LENGTH = 32;
+const MAX_DEPTH = 4;
+
+function redactText(value, mode) {
+    if (typeof value !== 'string' || mode === 'full') return value;
+    if (mode === 'redact') return `[${value.length} characters]`;
+    return value.length > PREVIEW_LENGTH ? `${value.slice(0, PREVIEW_LENGTH)}… [${value.length} characters]` : value;
+}
+
+// Make fields JSON friendly: errors become plain objects, text and secrets are hidden
+function serialize(value, mode, depth = 0) {
+    if (value instanceof Error) {
+        return serialize({ name: value.name, message: value.message, ...value, stack: value.stack }, mode, depth);
+    }
+
+    if (Array.isArray(value)) {
+        return depth < MAX_DEPTH ? value.map(item => serialize(item, mode, depth + 1)) : '[array]';
+    }
+
+    if (value && typeof value === 'object') {
+        if (depth >= MAX_DEPTH) return '[object]';
+
+        const result = {};
+        for (const [name, field] of Object.entries(value)) {
+            if (SECRET_FIELDS.includes(name)) {
+                result[name] = '[redacted]';
+            } else if (TEXT_FIELDS.includes(name)) {
+                result[name] = redactText(field, mode);
+            } else {
+                result[name] = serialize(field, mode, depth + 1);
+            }
+        }
+        return result;
+    }
+
+    return value;
+}
+
+function writeLine(level, line) {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+function createLogger({ level = 'info', text = 'truncate', fields = {}, write = writeLine } = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+
+    function log(entryLevel, msg, extra = {}) {
+        if (LEVELS[entryLevel] < threshold) return;
+
+        write(entryLevel, JSON.stringify({
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg: msg,
+            ...serialize({ ...fields, ...extra }, text)
+        }));
+    }
+
+    return {
+        debug: (msg, extra) => log('debug', msg, extra),
+        info: (msg, extra) => log('info', msg, extra),
+        warn: (msg, extra) => log('warn', msg, extra),
+        error: (msg, extra) => log('error', msg, extra),
+        // Logger that adds the given fields to every line, e.g. a request or job id
+        child: (extra) => createLogger({ level, text, fields: { ...fields, ...extra }, write })
+    };
+}
+
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    text: process.env.LOG_TEXT || 'truncate'
+});
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    logger
+};
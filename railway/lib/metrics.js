@@ -0,0 +1,127 @@
+// Minimal Prometheus metrics: counters, gauges and histograms rendered in the text exposition format
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0) return '';
+    return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in a fixed order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels) {
+    return labelNames.reduce((picked, name) => {
+        picked[name] = labels[name] ?? '';
+        return picked;
+    }, {});
+}
+
+function createMetrics({ prefix = '' } = {}) {
+    const metrics = [];
+
+    function register(metric) {
+        metric.name = prefix + metric.name;
+        metrics.push(metric);
+        return metric;
+    }
+
+    function counter(name, help, labelNames = []) {
+        const series = new Map();
+
+        return register({
+            name,
+            help,
+            type: 'counter',
+            inc(labels = {}, value = 1) {
+                const key = seriesKey(labelNames, labels);
+                const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+                current.value += value;
+                series.set(key, current);
+            },
+            samples() {
+                return [...series.values()].map(({ labels, value }) => ({ suffix: '', labels, value }));
+            }
+        });
+    }
+
+    // Gauges are read when scraped; collect() returns a number or [{ labels, value }]
+    function gauge(name, help, collect) {
+        return register({
+            name,
+            help,
+            type: 'gauge',
+            samples() {
+                const value = collect();
+                const values = Array.isArray(value) ? value : [{ labels: {}, value }];
+                return values.map(sample => ({ suffix: '', labels: sample.labels, value: sample.value }));
+            }
+        });
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map();
+
+        return register({
+            name,
+            help,
+            type: 'histogram',
+            observe(labels = {}, value) {
+                if (!Number.isFinite(value)) return;
+
+                const key = seriesKey(labelNames, labels);
+                const current = series.get(key) || {
+                    labels: pickLabels(labelNames, labels),
+                    counts: buckets.map(() => 0),
+                    sum: 0,
+                    count: 0
+                };
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) current.counts[i]++;
+                });
+                current.sum += value;
+                current.count++;
+                series.set(key, current);
+            },
+            samples() {
+                return [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                    ...buckets.map((bound, i) => ({ suffix: '_bucket', labels: { ...labels, le: String(bound) }, value: counts[i] })),
+                    { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+                    { suffix: '_sum', labels, value: sum },
+                    { suffix: '_count', labels, value: count }
+                ]);
+            }
+        });
+    }
+
+    function render() {
+        return metrics.map(metric => {
+            const lines = [
+                `# HELP ${metric.name} ${metric.help}`,
+                `# TYPE ${metric.name} ${metric.type}`
+            ];
+            for (const sample of metric.samples()) {
+                lines.push(`${metric.name}${sample.suffix}${formatLabels(sample.labels)} ${sample.value}`);
+            }
+            return lines.join('\n');
+        }).join('\n') + '\n';
+    }
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        render
+    };
+}
+
+module.exports = {
+    createMetrics
+};
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { loadVoiceCatalog } = require('./voices');
+const { parseWav } = require('./wav');
+const { parsePiperStderr } = require('./piper-pool');
+const { logger } = require('./logger');
+
+// Voice model management. An upload is a pair - <id>.onnx and <id>.onnx.json - staged one
+// file at a time. Once both halves are there the pair is validated with a trial synthesis
+// and moved into the models directory, where the next catalog scan picks it up.
+
+const STAGING_DIR = '.uploads';
+const VOICE_ID = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,99}$/;
+const TRIAL_TEXT = 'Dette er en test.';
+
+function modelError(status, message, extra = {}) {
+    return Object.assign(new Error(message), { status: status }, extra);
+}
+
+// Accept ids with or without the .onnx suffix, but nothing that could leave the directory
+function normalizeId(id) {
+    const voiceId = String(id || '').replace(/\.onnx(\.json)?$/, '');
+    if (!VOICE_ID.test(voiceId) || voiceId.includes('..')) {
+        throw modelError(400, 'Voice id may only contain letters, digits, ".", "_" and "-"');
+    }
+    return voiceId;
+}
+
+// The fields Piper needs to load a voice
+function validateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return 'Config must be a JSON object';
+    }
+    if (!config.audio || !Number.isInteger(config.audio.sample_rate) || config.audio.sample_rate <= 0) {
+        return 'Config needs audio.sample_rate';
+    }
+    if (!config.phoneme_id_map || typeof config.phoneme_id_map !== 'object') {
+        return 'Config needs a phoneme_id_map';
+    }
+    return null;
+}
+
+function createModelManager({ modelsDir, ensurePiper, maxBytes = 200 * 1024 * 1024, trialTimeout = 60 * 1000 }) {
+    const stagingDir = path.join(modelsDir, STAGING_DIR);
+
+    function stagedPaths(voiceId) {
+        return {
+            model: path.join(stagingDir, `${voiceId}.onnx`),
+            config: path.join(stagingDir, `${voiceId}.onnx.json`)
+        };
+    }
+
+    function installedPaths(voiceId) {
+        return {
+            model: path.join(modelsDir, `${voiceId}.onnx`),
+            config: path.join(modelsDir, `${voiceId}.onnx.json`)
+        };
+    }
+
+    function fileInfo(filePath) {
+        try {
+            const stat = fs.statSync(filePath);
+            return { bytes: stat.size, modifiedAt: stat.mtime.toISOString() };
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Installed voices with their metadata and file sizes
+    function list() {
+        return loadVoiceCatalog(modelsDir).map(voice => {
+            const paths = installedPaths(voice.id);
+            return {
+                ...voice,
+                model_file: fileInfo(paths.model),
+                config_file: fileInfo(paths.config)
+            };
+        });
+    }
+
+    // What has been uploaded for a voice so far
+    function staged(voiceId) {
+        const paths = stagedPaths(voiceId);
+        const files = { model: fileInfo(paths.model), config: fileInfo(paths.config) };
+        return {
+            id: voiceId,
+            files: files,
+            missing: Object.keys(files).filter(name => !files[name])
+        };
+    }
+
+    // Stream the .onnx file to the staging area, stopping at the size limit
+    async function stageModel(id, input) {
+        const voiceId = normalizeId(id);
+        const target = stagedPaths(voiceId).model;
+        const partPath = `${target}.part`;
+        let bytes = 0;
+
+        fs.mkdirSync(stagingDir, { recursive: true });
+
+        const limit = new Transform({
+            transform(chunk, encoding, callback) {
+                bytes += chunk.length;
+                callback(bytes > maxBytes ? modelError(413, `Model is larger than ${maxBytes} bytes`) : null, chunk);
+            }
+        });
+
+        try {
+            await pipeline(input, limit, fs.createWriteStream(partPath));
+        } catch (error) {
+            fs.rmSync(partPath, { force: true });
+            throw error.status ? error : modelError(400, `Upload failed: ${error.message}`);
+        }
+
+        if (bytes === 0) {
+            fs.rmSync(partPath, { force: true });
+            throw modelError(400, 'Model file is empty');
+        }
+
+        fs.renameSync(partPath, target);
+        logger.info('Model file staged', { voice: voiceId, bytes: bytes });
+        return staged(voiceId);
+    }
+
+    function stageConfig(id, config) {
+        const voiceId = normalizeId(id);
+        const configError = validateConfig(config);
+        if (configError) {
+            throw modelError(400, configError);
+        }
+
+        fs.mkdirSync(stagingDir, { recursive: true });
+        fs.writeFileSync(stagedPaths(voiceId).config, JSON.stringify(config, null, 2));
+        logger.info('Model config staged', { voice: voiceId });
+        return staged(voiceId);
+    }
+
+    // Synthesize a short sentence with a one-off Piper process to prove the model loads
+    async function trialSynthesis(modelPath) {
+        const install = await ensurePiper();
+        if (!install.success) {
+            throw modelError(503, `Piper CLI is needed to validate models: ${install.error}`);
+        }
+
+        const outputPath = path.join(os.tmpdir(), `model-trial-${Date.now()}-${process.pid}.wav`);
+
+        try {
+            await new Promise((resolve, reject) => {
+                const child = spawn(install.path, ['--model', modelPath, '--output_file', outputPath], {
+                    stdio: ['pipe', 'ignore', 'pipe']
+                });
+
+                let stderr = '';
+                const timer = setTimeout(() => {
+                    child.kill('SIGKILL');
+                    reject(modelError(422, `Trial synthesis timed out after ${trialTimeout}ms`));
+                }, trialTimeout);
+
+                child.stderr.on('data', (data) => {
+                    stderr = (stderr + data.toString()).slice(-4000);
+                });
+                child.on('error', (error) => {
+                    clearTimeout(timer);
+                    reject(modelError(500, `Piper failed to start: ${error.message}`));
+                });
+                child.on('close', (code) => {
+                    clearTimeout(timer);
+                    if (code === 0) {
+                        resolve();
+                    } else {
+                        reject(modelError(422, `Trial synthesis failed (exit code ${code})`, { stderr: parsePiperStderr(stderr) }));
+                    }
+                });
+
+                child.stdin.on('error', () => {});
+                child.stdin.end(TRIAL_TEXT + '\n');
+            });
+
+            if (!fs.existsSync(outputPath)) {
+                throw modelError(422, 'Trial synthesis did not produce audio');
+            }
+            const { data } = parseWav(fs.readFileSync(outputPath));
+            if (data.length === 0) {
+                throw modelError(422, 'Trial synthesis produced empty audio');
+            }
+        } finally {
+            fs.rmSync(outputPath, { force: true });
+        }
+    }
+
+    // Validate a complete staged pair and move it into place. A failed pair is discarded.
+    async function install(id) {
+        const voiceId = normalizeId(id);
+        const status = staged(voiceId);
+        if (status.missing.length > 0) {
+            throw modelError(409, `Upload is incomplete, missing: ${status.missing.join(', ')}`);
+        }
+
+        const from = stagedPaths(voiceId);
+        const to = installedPaths(voiceId);
+
+        try {
+            let config;
+            try {
+                config = JSON.parse(fs.readFileSync(from.config, 'utf8'));
+            } catch (err) {
+                throw modelError(400, `Config is not valid JSON: ${err.message}`);
+            }
+            const configError = validateConfig(config);
+            if (configError) {
+                throw modelError(400, configError);
+            }
+
+            // Piper finds the config next to the model, so the staged pair can be tried as-is
+            await trialSynthesis(from.model);
+        } catch (error) {
+            fs.rmSync(from.model, { force: true });
+            fs.rmSync(from.config, { force: true });
+            logger.warn('Model upload rejected', { voice: voiceId, error: error });
+            throw error;
+        }
+
+        const replaced = fs.existsSync(to.model);
+
+        // Config first, so the catalog never sees a model without its config
+        fs.renameSync(from.config, to.config);
+        fs.renameSync(from.model, to.model);
+
+        logger.info('Model installed', { voice: voiceId, replaced: replaced });
+        return {
+            replaced: replaced,
+            path: to.model,
+            voice: list().find(voice => voice.id === voiceId) || null
+        };
+    }
+
+    function remove(id) {
+        const voiceId = normalizeId(id);
+        const paths = installedPaths(voiceId);
+        if (!fs.existsSync(paths.model)) {
+            throw modelError(404, `Voice not found: ${voiceId}`);
+        }
+
+        fs.rmSync(paths.model, { force: true });
+        fs.rmSync(paths.config, { force: true });
+        logger.info('Model deleted', { voice: voiceId });
+        return { id: voiceId, path: paths.model };
+    }
+
+    // Drop halves of uploads that were never completed
+    function cleanupStaging(maxAge) {
+        if (!fs.existsSync(stagingDir)) return;
+
+        const cutoff = Date.now() - maxAge;
+        for (const file of fs.readdirSync(stagingDir)) {
+            const filePath = path.join(stagingDir, file);
+            const info = fileInfo(filePath);
+            if (info && Date.parse(info.modifiedAt) < cutoff) {
+                fs.rmSync(filePath, { force: true });
+                logger.debug('Removed stale model upload', { file: file });
+            }
+        }
+    }
+
+    return {
+        list,
+        staged,
+        stageModel,
+        stageConfig,
+        install,
+        remove,
+        cleanupStaging
+    };
+}
+
+module.exports = {
+    createModelManager
+};
@@ -0,0 +1,324 @@
+// Norwegian (bokmål) text normalization - spell out numbers, dates, times,
+// amounts and abbreviations so Piper reads them the way a person would
+
+const ONES = ['null', 'en', 'to', 'tre', 'fire', 'fem', 'seks', 'sju', 'åtte', 'ni', 'ti',
+    'elleve', 'tolv', 'tretten', 'fjorten', 'femten', 'seksten', 'sytten', 'atten', 'nitten'];
+
+const TENS = ['', '', 'tjue', 'tretti', 'førti', 'femti', 'seksti', 'sytti', 'åtti', 'nitti'];
+
+const ORDINALS = ['nullte', 'første', 'andre', 'tredje', 'fjerde', 'femte', 'sjette', 'sjuende',
+    'åttende', 'niende', 'tiende', 'ellevte', 'tolvte', 'trettende', 'fjortende', 'femtende',
+    'sekstende', 'syttende', 'attende', 'nittende'];
+
+const MONTHS = ['januar', 'februar', 'mars', 'april', 'mai', 'juni', 'juli', 'august',
+    'september', 'oktober', 'november', 'desember'];
+
+// Abbreviations that are always expanded. Order matters: longer forms first.
+const ABBREVIATIONS = [
+    ['bl.a.', 'blant annet'],
+    ['f.eks.', 'for eksempel'],
+    ['dvs.', 'det vil si'],
+    ['osv.', 'og så videre'],
+    ['m.m.', 'med mer'],
+    ['mv.', 'med videre'],
+    ['m.fl.', 'med flere'],
+    ['o.l.', 'og lignende'],
+    ['e.l.', 'eller lignende'],
+    ['t.o.m.', 'til og med'],
+    ['f.o.m.', 'fra og med'],
+    ['p.g.a.', 'på grunn av'],
+    ['pga.', 'på grunn av'],
+    ['v.h.a.', 'ved hjelp av'],
+    ['vha.', 'ved hjelp av'],
+    ['m.h.t.', 'med hensyn til'],
+    ['mht.', 'med hensyn til'],
+    ['iflg.', 'ifølge'],
+    ['evt.', 'eventuelt'],
+    ['ca.', 'cirka'],
+    ['jf.', 'jamfør'],
+    ['nr.', 'nummer'],
+    ['kl.', 'klokka'],
+    ['tlf.', 'telefon'],
+    ['inkl.', 'inkludert'],
+    ['ekskl.', 'eksklusive'],
+    ['etc.', 'et cetera'],
+    ['stk.', 'stykk'],
+    ['kap.', 'kapittel'],
+    ['kr.', 'kroner']
+];
+
+// Units are only expanded directly after a number ("min" is also the possessive "my").
+// Neuter units take "ett" in the singular: "ett gram", "ett minutt".
+const UNITS = {
+    'km/t': { one: 'kilometer i timen', many: 'kilometer i timen' },
+    'km': { one: 'kilometer', many: 'kilometer' },
+    'cm': { one: 'centimeter', many: 'centimeter' },
+    'mm': { one: 'millimeter', many: 'millimeter' },
+    'kg': { one: 'kilo', many: 'kilo', neuter: true },
+    'm': { one: 'meter', many: 'meter' },
+    'g': { one: 'gram', many: 'gram', neuter: true },
+    'min': { one: 'minutt', many: 'minutter', neuter: true },
+    'sek': { one: 'sekund', many: 'sekunder', neuter: true }
+};
+
+const NUMBER = '\\d{1,3}(?:[ \\u00a0]\\d{3})+|\\d{1,3}(?:\\.\\d{3})+|\\d+';
+
+// 0-99
+function belowHundred(n) {
+    if (n < 20) return ONES[n];
+    const tens = TENS[Math.floor(n / 10)];
+    return n % 10 === 0 ? tens : tens + ONES[n % 10];
+}
+
+// 0-999; "ett hundre" is only used inside larger numbers (1100 -> "ett tusen ett hundre")
+function belowThousand(n, inLargerNumber = false) {
+    if (n < 100) return belowHundred(n);
+
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const prefix = hundreds === 1 ? (inLargerNumber ? 'ett hundre' : 'hundre') : `${ONES[hundreds]} hundre`;
+
+    return rest === 0 ? prefix : `${prefix} og ${belowHundred(rest)}`;
+}
+
+// Join a large unit with its remainder: "og" only before the last part when it is below 100
+function joinRest(prefix, rest) {
+    if (rest === 0) return prefix;
+    return rest < 100 ? `${prefix} og ${belowHundred(rest)}` : `${prefix} ${cardinal(rest, true)}`;
+}
+
+// Cardinal number in words
+function cardinal(n, inLargerNumber = false) {
+    if (n < 0) return `minus ${cardinal(-n)}`;
+    if (n < 1000) return belowThousand(n, inLargerNumber);
+
+    if (n < 1000000) {
+        const thousands = Math.floor(n / 1000);
+        const prefix = thousands === 1 ? (inLargerNumber ? 'ett tusen' : 'tusen') : `${cardinal(thousands)} tusen`;
+        return joinRest(prefix, n % 1000);
+    }
+
+    if (n < 1000000000) {
+        const millions = Math.floor(n / 1000000);
+        const prefix = millions === 1 ? 'en million' : `${cardinal(millions)} millioner`;
+        return joinRest(prefix, n % 1000000);
+    }
+
+    const billions = Math.floor(n / 1000000000);
+    const prefix = billions === 1 ? 'en milliard' : `${cardinal(billions)} milliarder`;
+    return joinRest(prefix, n % 1000000000);
+}
+
+// Ordinal number in words ("3." -> "tredje", "21." -> "tjueførste")
+function ordinal(n) {
+    if (n < 20) return ORDINALS[n];
+
+    if (n < 100) {
+        const tens = TENS[Math.floor(n / 10)];
+        return n % 10 === 0 ? `${tens}ende` : tens + ORDINALS[n % 10];
+    }
+
+    const rest = n % 100;
+    if (rest !== 0) {
+        return `${cardinal(n - rest)} og ${ordinal(rest)}`;
+    }
+
+    const words = cardinal(n);
+    if (/million(er)?$/.test(words)) return words.replace(/million(er)?$/, 'millionte');
+    if (/milliard(er)?$/.test(words)) return words.replace(/milliard(er)?$/, 'milliardte');
+    return `${words}de`;
+}
+
+// Years are read as "nittenhundre og nittini", but "to tusen og tjuefem"
+function year(n) {
+    if (n >= 1100 && n < 2000) {
+        const century = `${belowHundred(Math.floor(n / 100))}hundre`;
+        return n % 100 === 0 ? century : `${century} og ${belowHundred(n % 100)}`;
+    }
+    return cardinal(n);
+}
+
+// Digits one by one, for long numbers that are not really quantities
+function digits(text) {
+    return text.split('').map(d => ONES[Number(d)]).join(' ');
+}
+
+// Phone numbers: eight digits in pairs ("22 33 44 55" -> "tjueto trettitre førtifire femtifem"),
+// anything else digit by digit, with an optional +47/0047 prefix
+function telephoneToWords(text) {
+    const international = /^\s*(\+|00)(47)/.exec(text);
+    let number = text.replace(/\D/g, '');
+    const words = [];
+    let prefix = null;
+
+    if (international) {
+        prefix = `pluss ${digits(international[2])}`;
+        // The "+" is already stripped from number, a "00" prefix is not
+        number = number.slice((international[1] === '00' ? 2 : 0) + international[2].length);
+    }
+
+    if (number.length === 8) {
+        for (let i = 0; i < 8; i += 2) {
+            const pair = number.slice(i, i + 2);
+            words.push(pair[0] === '0' ? digits(pair) : cardinal(Number(pair)));
+        }
+    } else {
+        words.push(digits(number));
+    }
+
+    return [prefix, words.join(' ')].filter(Boolean).join(', ');
+}
+
+function parseNumber(text) {
+    return Number(text.replace(/[  .]/g, ''));
+}
+
+// Numbers too long to be quantities (ids, phone numbers) are read digit by digit
+function numberToWords(text) {
+    const plain = text.replace(/[  .]/g, '');
+    return plain.length > 12 ? digits(plain) : cardinal(Number(plain));
+}
+
+// Decimal part after a comma (or a point): short parts as a number, longer ones digit by digit
+function decimalToWords(whole, fraction) {
+    const fractionWords = fraction.length <= 2 && !fraction.startsWith('0') ? cardinal(Number(fraction)) : digits(fraction);
+    return `${numberToWords(whole)} komma ${fractionWords}`;
+}
+
+// Amounts with their sub-unit: "kroner og øre", "euro og cent"
+const CURRENCIES = {
+    kr: { one: 'krone', many: 'kroner', minor: 'øre' },
+    euro: { one: 'euro', many: 'euro', minor: 'cent' },
+    dollar: { one: 'dollar', many: 'dollar', minor: 'cent' }
+};
+
+// A number with a unit after it: "1 g" -> "ett gram", "2,5 min" -> "to komma fem minutter"
+function quantity(whole, fraction, unit) {
+    const names = UNITS[unit];
+    if (fraction) return `${decimalToWords(whole, fraction)} ${names.many}`;
+    if (parseNumber(whole) === 1) return `${names.neuter ? 'ett' : 'en'} ${names.one}`;
+    return `${numberToWords(whole)} ${names.many}`;
+}
+
+function currency(whole, fraction, unit) {
+    const names = CURRENCIES[unit];
+    let words = `${numberToWords(whole)} ${parseNumber(whole) === 1 ? names.one : names.many}`;
+
+    if (fraction && fraction !== '-' && Number(fraction) > 0) {
+        words += ` og ${cardinal(Number(fraction.padEnd(2, '0')))} ${names.minor}`;
+    }
+
+    return words;
+}
+
+// Keep a capital first letter when the original was capitalized (start of sentence)
+function matchCase(original, replacement) {
+    return /^\p{Lu}/u.test(original) ? replacement.charAt(0).toUpperCase() + replacement.slice(1) : replacement;
+}
+
+// A period that doubles as the end of the sentence has to survive expanding the abbreviation it
+// belongs to: "Det tok 5 min. Da var vi ferdige." Next word capitalized, or nothing after it.
+function sentencePeriod(text, end) {
+    return /^(\s*$|\s+\p{Lu})/u.test(text.slice(end)) ? '.' : '';
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function dateToWords(day, month, yearText) {
+    const d = Number(day);
+    const m = Number(month);
+    if (d < 1 || d > 31 || m < 1 || m > 12) return null;
+
+    let words = `${ordinal(d)} ${MONTHS[m - 1]}`;
+    if (yearText) {
+        const y = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText);
+        words += ` ${year(y)}`;
+    }
+    return words;
+}
+
+function timeToWords(hours, minutes) {
+    const h = Number(hours);
+    const m = minutes === undefined ? 0 : Number(minutes);
+    if (h > 24 || m > 59) return null;
+
+    if (m === 0) return cardinal(h);
+    return `${cardinal(h)} ${m < 10 ? `null ${ONES[m]}` : belowHundred(m)}`;
+}
+
+// Run every normalization step in order. Each step only sees what the previous ones left.
+function normalizeText(text) {
+    let result = text;
+
+    // Phone numbers after "tlf." or "telefon": "tlf. 22 33 44 55", "telefon: +47 987 65 432"
+    result = result.replace(/(?<!\p{L})(tlf\.?|telefon)(:?\s*)((?:\+|00)?\d(?:[ \u00a0]?\d){2,13})(?!\d)/giu,
+        (match, label, separator, number) => `${label}${separator}${telephoneToWords(number)}`);
+
+    // Dates: 12.05.2025, 12.05.25 and 12.05.
+    result = result.replace(/(?<![\d.])(\d{1,2})\.(\d{1,2})\.(\d{4}|\d{2})(?![\d.])/g,
+        (match, d, m, y) => dateToWords(d, m, y) || match);
+    result = result.replace(/(?<![\d.])(\d{1,2})\.(\d{1,2})\.(?!\d)/g,
+        (match, d, m) => dateToWords(d, m) || match);
+
+    // Times: "kl. 14:30", "kl 14.30", "kl. 9" and bare "14:30"
+    result = result.replace(/\b([Kk]l)\.?\s*(\d{1,2})(?:[:.](\d{2}))?(?!\d)/g, (match, kl, h, m) => {
+        const words = timeToWords(h, m);
+        return words ? `${matchCase(kl, 'klokka')} ${words}` : match;
+    });
+    result = result.replace(/(?<![\d.,:])(\d{1,2}):(\d{2})(?![\d:])/g, (match, h, m) => timeToWords(h, m) || match);
+
+    // Currency before the amount: "kr 1 499,50", "NOK 100", "€ 5", "$5"
+    result = result.replace(new RegExp(`(?<![\\p{L}])(kr\\.?|NOK|€|\\$)\\s*(${NUMBER})(?:[,.](\\d{1,2}|-))?(?![\\d])`, 'gu'),
+        (match, unit, amount, fraction) => currency(amount, fraction, { 'NOK': 'kr', '€': 'euro', '$': 'dollar' }[unit] || 'kr'));
+
+    // Currency after the amount: "1 499,50 kr", "100,-", "5 euro"
+    result = result.replace(new RegExp(`(?<![\\d.,])(${NUMBER})(?:[,.](\\d{1,2}|-))?\\s*(kr\\.?|kroner|NOK|€|euro|\\$|dollar)(?![\\p{L}])`, 'gu'),
+        (match, amount, fraction, unit, offset, string) => currency(amount, fraction, { '€': 'euro', 'euro': 'euro', '$': 'dollar', 'dollar': 'dollar' }[unit] || 'kr') +
+            (unit === 'kr.' ? sentencePeriod(string, offset + match.length) : ''));
+    result = result.replace(new RegExp(`(?<![\\d,])(${NUMBER}),-`, 'g'), (match, amount) => currency(amount, null, 'kr'));
+
+    // Percentages: "25 %", "2,5%"
+    result = result.replace(new RegExp(`(?<![\\d.,])(${NUMBER})(?:[,.](\\d+))?\\s*(%|prosent)`, 'g'),
+        (match, whole, fraction) => `${fraction ? decimalToWords(whole, fraction) : numberToWords(whole)} prosent`);
+
+    // Units directly after a number: "5 km", "2,5 kg", "10 min."
+    const unitPattern = Object.keys(UNITS).map(escapeRegExp).join('|');
+    result = result.replace(new RegExp(`(?<![\\d.,])(${NUMBER})(?:[,.](\\d+))?\\s*(${unitPattern})(\\.(?!\\p{L}))?(?![\\p{L}/])`, 'gu'),
+        (match, whole, fraction, unit, period, offset, string) => quantity(whole, fraction, unit) +
+            (period ? sentencePeriod(string, offset + match.length) : ''));
+
+    // Abbreviations
+    for (const [abbreviation, expansion] of ABBREVIATIONS) {
+        const pattern = new RegExp(`(?<![\\p{L}.])${escapeRegExp(abbreviation)}(?![\\p{L}])`, 'giu');
+        result = result.replace(pattern, (match, offset, string) => matchCase(match, expansion) + sentencePeriod(string, offset + match.length));
+    }
+
+    // Ordinals: "3. plass", "17. mai" - a number with a period followed by a lower-case word
+    result = result.replace(/(?<![\d.,])(\d{1,4})\.(?=\s+\p{Ll})/gu, (match, n) => ordinal(Number(n)));
+
+    // Decimals: "2,5", and "2.5" - a point before exactly three digits groups thousands instead
+    result = result.replace(new RegExp(`(?<![\\d.,])(${NUMBER}),(\\d+)(?![\\d,])`, 'g'),
+        (match, whole, fraction) => decimalToWords(whole, fraction));
+    result = result.replace(/(?<![\d.,])(\d+)\.(?!\d{3}(?!\d))(\d+)(?![\d.,])/g,
+        (match, whole, fraction) => decimalToWords(whole, fraction));
+
+    // Eight digits on their own are a phone number
+    result = result.replace(/(?<![\p{L}\d.,])\d{8}(?![\p{L}\d]|[.,]\d)/gu, match => telephoneToWords(match));
+
+    // Negative numbers and everything else. Numbers inside words ("v1.2.3", "A4", "3D") are left alone.
+    result = result.replace(new RegExp(`(?<![\\p{L}\\d])-(${NUMBER})(?!\\d)`, 'gu'), (match, n) => `minus ${numberToWords(n)}`);
+    result = result.replace(new RegExp(`(?<!\\p{L}[\\p{L}\\d.]*)(${NUMBER})(?![\\p{L}\\d])`, 'gu'), (match, n) => numberToWords(n));
+
+    return result.replace(/[ \t]{2,}/g, ' ');
+}
+
+module.exports = {
+    normalizeText,
+    cardinal,
+    ordinal,
+    digits,
+    telephoneToWords,
+    dateToWords
+};
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { logger } = require('./logger');
+
+const execFileAsync = promisify(execFile);
+
+// Installs the Piper CLI from a release tarball - downloaded over HTTPS or read from a local
+// path for offline setups - after checking its SHA-256. The default GitHub download is never
+// installed without a configured checksum. Nothing goes through a shell, and
+// concurrent callers share one install. An existing executable can be used instead, e.g. a
+// system-wide install or a stub in integration tests.
+
+const DEFAULT_SOURCE = 'https://github.com/rhasspy/piper/releases/download/v{version}/piper_linux_x86_64.tar.gz';
+const MARKER_FILE = '.install.json';
+
+// Walk a directory tree for the first regular file with this name
+function findFile(dir, name) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isFile() && entry.name === name) {
+            return entryPath;
+        }
+        if (entry.isDirectory()) {
+            const found = findFile(entryPath, name);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+// Refuse archives that would write outside the target directory
+function checkArchiveEntries(entries) {
+    for (const entry of entries) {
+        if (path.isAbsolute(entry) || entry.split(/[\\/]/).includes('..')) {
+            throw new Error(`Unsafe path in Piper archive: ${entry}`);
+        }
+    }
+}
+
+function createPiperInstaller({ dir, version = '1.2.0', source = DEFAULT_SOURCE, sha256 = null, requireChecksum = false, executable = null, downloadTimeout = 5 * 60 * 1000 }) {
+    const resolvedSource = executable || source.replace(/\{version\}/g, version);
+    const installDir = path.join(dir, `piper-${version}`);
+    const expectedSha256 = sha256 ? sha256.toLowerCase() : null;
+    // Anyone who can tamper with the download would otherwise run code here
+    const checksumRequired = requireChecksum || source === DEFAULT_SOURCE;
+
+    let installing = null;
+    const state = {
+        state: 'not_installed',
+        version: version,
+        source: resolvedSource,
+        expected_sha256: expectedSha256,
+        sha256: null,
+        verified: false,
+        path: null,
+        attempts: 0,
+        startedAt: null,
+        finishedAt: null,
+        error: null
+    };
+
+    function setState(changes) {
+        Object.assign(state, changes);
+    }
+
+    function isLocalSource() {
+        return !/^https?:\/\//i.test(resolvedSource);
+    }
+
+    async function readArchive() {
+        if (isLocalSource()) {
+            const localPath = resolvedSource.replace(/^file:\/\//i, '');
+            logger.info('Reading Piper archive', { path: localPath });
+            return fs.promises.readFile(localPath);
+        }
+
+        logger.info('Downloading Piper', { url: resolvedSource });
+        const response = await fetch(resolvedSource, { signal: AbortSignal.timeout(downloadTimeout) });
+        if (!response.ok) {
+            throw new Error(`Download failed with HTTP ${response.status}`);
+        }
+        return Buffer.from(await response.arrayBuffer());
+    }
+
+    function verify(archive) {
+        const actual = crypto.createHash('sha256').update(archive).digest('hex');
+        setState({ sha256: actual });
+
+        if (expectedSha256) {
+            if (actual !== expectedSha256) {
+                throw new Error(`Checksum mismatch: expected ${expectedSha256}, got ${actual}`);
+            }
+            setState({ verified: true });
+        } else if (checksumRequired) {
+            throw new Error('No SHA-256 configured for the Piper archive and a checksum is required');
+        } else {
+            logger.warn('Piper archive not verified - no SHA-256 configured', { sha256: actual });
+        }
+
+        return actual;
+    }
+
+    async function extract(archivePath, target) {
+        const { stdout } = await execFileAsync('tar', ['-tzf', archivePath]);
+        checkArchiveEntries(stdout.split('\n').filter(Boolean));
+        await execFileAsync('tar', ['-xzf', archivePath, '-C', target, '--no-same-owner']);
+    }
+
+    // A finished install from an earlier run can be reused without the archive
+    function loadExisting() {
+        const markerPath = path.join(installDir, MARKER_FILE);
+        if (!fs.existsSync(markerPath)) return false;
+
+        try {
+            const marker = JSON.parse(fs.readFileSync(markerPath, 'utf8'));
+            if (expectedSha256 && marker.sha256 !== expectedSha256) return false;
+            if (!marker.path || !fs.existsSync(marker.path)) return false;
+
+            setState({
+                state: 'installed',
+                sha256: marker.sha256,
+                verified: Boolean(expectedSha256),
+                path: marker.path,
+                finishedAt: marker.installedAt,
+                error: null
+            });
+            logger.info('Using existing Piper install', { path: marker.path, version: version });
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    // Nothing to download - just check the given executable can be run
+    async function useExecutable() {
+        try {
+            await fs.promises.access(executable, fs.constants.X_OK);
+        } catch (err) {
+            setState({ state: 'failed', error: `Piper executable not usable: ${err.message}`, finishedAt: new Date().toISOString() });
+            logger.error('Piper executable not usable', { path: executable, error: err });
+            return { success: false, error: state.error };
+        }
+
+        setState({ state: 'installed', path: executable, finishedAt: new Date().toISOString() });
+        logger.info('Using Piper executable', { path: executable });
+        return { success: true, message: 'Using existing executable', path: executable };
+    }
+
+    async function runInstall() {
+        setState({ attempts: state.attempts + 1, startedAt: new Date().toISOString(), finishedAt: null, error: null });
+
+        if (executable) {
+            return useExecutable();
+        }
+
+        if (checksumRequired && !expectedSha256) {
+            const error = source === DEFAULT_SOURCE
+                ? `The default Piper download (${resolvedSource}) is only installed with its SHA-256 configured`
+                : 'No SHA-256 configured for the Piper archive and a checksum is required';
+            setState({ state: 'failed', error: error, finishedAt: new Date().toISOString() });
+            logger.error('Piper installation refused', { source: resolvedSource, error: error });
+            return { success: false, error: error };
+        }
+
+        if (loadExisting()) {
+            return { success: true, message: 'Already installed', path: state.path };
+        }
+
+        const stagingDir = path.join(dir, `.staging-${Date.now()}`);
+        const archivePath = `${stagingDir}.tar.gz`;
+
+        try {
+            logger.info('Installing Piper CLI', { version: version, source: resolvedSource });
+
+            setState({ state: isLocalSource() ? 'reading' : 'downloading' });
+            const archive = await readArchive();
+
+            setState({ state: 'verifying' });
+            const checksum = verify(archive);
+
+            setState({ state: 'extracting' });
+            fs.mkdirSync(stagingDir, { recursive: true });
+            fs.writeFileSync(archivePath, archive);
+            await extract(archivePath, stagingDir);
+
+            const stagedExecutable = findFile(stagingDir, 'piper');
+            if (!stagedExecutable) {
+                throw new Error('Piper executable not found after extraction');
+            }
+
+            // Swap the finished install into place so a half-extracted tree is never used
+            fs.rmSync(installDir, { recursive: true, force: true });
+            fs.renameSync(stagingDir, installDir);
+
+            const executable = path.join(installDir, path.relative(stagingDir, stagedExecutable));
+            fs.chmodSync(executable, 0o755);
+
+            const installedAt = new Date().toISOString();
+            fs.writeFileSync(path.join(installDir, MARKER_FILE), JSON.stringify({
+                version: version,
+                source: resolvedSource,
+                sha256: checksum,
+                path: executable,
+                installedAt: installedAt
+            }, null, 2));
+
+            setState({ state: 'installed', path: executable, finishedAt: installedAt });
+            logger.info('Piper installed', { path: executable, sha256: checksum, verified: state.verified });
+
+            return { success: true, message: 'Installed successfully', path: executable };
+        } catch (error) {
+            setState({ state: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+            logger.error('Piper installation failed', { error: error });
+            return { success: false, error: error.message };
+        } finally {
+            fs.rmSync(stagingDir, { recursive: true, force: true });
+            fs.rmSync(archivePath, { force: true });
+        }
+    }
+
+    // Install once; callers that arrive while an install runs wait for the same result
+    function install() {
+        if (state.state === 'installed' && state.path && fs.existsSync(state.path)) {
+            return Promise.resolve({ success: true, message: 'Already installed', path: state.path });
+        }
+
+        if (!installing) {
+            installing = runInstall().finally(() => {
+                installing = null;
+            });
+        }
+        return installing;
+    }
+
+    function executablePath() {
+        return state.state === 'installed' ? state.path : null;
+    }
+
+    function status() {
+        return {
+            ...state,
+            installing: Boolean(installing),
+            available: Boolean(executablePath() && fs.existsSync(state.path))
+        };
+    }
+
+    return {
+        install,
+        path: executablePath,
+        status
+    };
+}
+
+module.exports = {
+    createPiperInstaller
+};
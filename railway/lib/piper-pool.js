@@ -0,0 +1,380 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { logger } = require('./logger');
+
+// Pool of long-lived Piper processes running in --json-input mode.
+// Each worker loads its model once and then synthesizes one JSON line at a time;
+// Piper prints the output file path on stdout when a line is done.
+
+const RESTART_DELAY = 1000;
+const MAX_RESTART_DELAY = 30000;
+
+// Piper logs lines like "[2024-01-01 12:00:00.000] [piper] [info] Loaded voice in 0.4 second(s)";
+// turn them into { time, source, level, message } so they can be logged as fields
+function parsePiperStderr(text) {
+    return text.split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const match = /^\[([^\]]+)\]\s*\[([^\]]+)\]\s*\[([^\]]+)\]\s*(.*)$/.exec(line);
+            return match
+                ? { time: match[1], source: match[2], level: match[3], message: match[4] }
+                : { message: line };
+        });
+}
+
+// maxWorkers caps the processes across all models and settings - every one holds a model in memory
+function createPiperPool({ getPiperPath, workersPerVoice = 1, maxWorkers = 8, idleTimeout = 5 * 60 * 1000 } = {}) {
+    const workers = new Map();
+    let shuttingDown = false;
+
+    // Workers are keyed by model and extra CLI args, so different settings never share a process
+    function workerKey(modelPath, args) {
+        return [modelPath, ...args].join(' ');
+    }
+
+    function startWorker(worker) {
+        const piperPath = getPiperPath();
+        if (!piperPath || !fs.existsSync(piperPath)) {
+            failPending(worker, new Error('Piper CLI not available'));
+            return;
+        }
+
+        logger.info('Starting Piper worker', { worker: worker.id });
+
+        const child = spawn(piperPath, [
+            '--model', worker.modelPath,
+            '--json-input',
+            ...worker.args
+        ], {
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        worker.process = child;
+        worker.warm = false;
+        worker.stderr = '';
+
+        let stdoutBuffer = '';
+        child.stdout.on('data', (data) => {
+            stdoutBuffer += data.toString();
+            let newline;
+            while ((newline = stdoutBuffer.indexOf('\n')) !== -1) {
+                const line = stdoutBuffer.slice(0, newline).trim();
+                stdoutBuffer = stdoutBuffer.slice(newline + 1);
+                if (line) {
+                    finishCurrent(worker, line);
+                }
+            }
+        });
+
+        let stderrBuffer = '';
+        child.stderr.on('data', (data) => {
+            // Keep only the tail so a chatty worker cannot grow memory forever
+            worker.stderr = (worker.stderr + data.toString()).slice(-4000);
+            if (/Loaded voice/i.test(worker.stderr)) {
+                worker.warm = true;
+            }
+
+            stderrBuffer += data.toString();
+            const newline = stderrBuffer.lastIndexOf('\n');
+            if (newline !== -1) {
+                parsePiperStderr(stderrBuffer.slice(0, newline)).forEach(line => {
+                    const level = /warn|error|critical/i.test(line.level || '') ? 'warn' : 'debug';
+                    logger[level]('Piper output', { worker: worker.id, piper: line });
+                });
+                stderrBuffer = stderrBuffer.slice(newline + 1);
+            }
+        });
+
+        child.stdin.on('error', () => {});
+
+        child.on('error', (error) => {
+            logger.error('Piper worker error', { worker: worker.id, error: error });
+        });
+
+        child.on('exit', (code, signal) => {
+            if (worker.process !== child) return;
+            worker.process = null;
+            worker.warm = false;
+
+            const intentional = Boolean(worker.killReason);
+            let reason = worker.killReason;
+            worker.killReason = null;
+
+            if (!reason) {
+                reason = new Error(`Piper worker exited (code ${code}, signal ${signal})`);
+                reason.stderr = parsePiperStderr(worker.stderr);
+                if (!shuttingDown && !worker.stopped) {
+                    logger.error('Piper worker exited', { worker: worker.id, code: code, signal: signal, stderr: reason.stderr });
+                }
+            }
+
+            if (worker.current) {
+                worker.current.reject(reason);
+                worker.current = null;
+            }
+
+            if (shuttingDown || worker.stopped) return;
+
+            // Back off when a worker keeps crashing, reset once it has been stable for a while
+            const uptime = Date.now() - worker.startedAt;
+            if (intentional || uptime > MAX_RESTART_DELAY) {
+                worker.crashes = 0;
+            }
+            const restartDelay = Math.min(RESTART_DELAY * 2 ** worker.crashes, MAX_RESTART_DELAY);
+            if (!intentional) {
+                worker.crashes++;
+            }
+            worker.restarts++;
+
+            logger.info('Restarting Piper worker', { worker: worker.id, delayMs: restartDelay });
+            worker.restartTimer = setTimeout(() => {
+                worker.restartTimer = null;
+                worker.startedAt = Date.now();
+                startWorker(worker);
+                sendNext(worker);
+            }, restartDelay);
+        });
+
+        worker.startedAt = Date.now();
+    }
+
+    function failPending(worker, error) {
+        worker.pending.splice(0).forEach(request => request.reject(error));
+    }
+
+    function finishCurrent(worker, outputFile) {
+        const request = worker.current;
+        if (!request) return;
+
+        worker.current = null;
+        worker.warm = true;
+        worker.completed++;
+
+        if (!fs.existsSync(request.outputFile) || fs.statSync(request.outputFile).size === 0) {
+            request.reject(new Error(`Piper did not create output file (reported ${outputFile})`));
+        } else {
+            request.resolve(request.outputFile);
+        }
+
+        sendNext(worker);
+    }
+
+    // Workers handle one line at a time so stdout lines map to requests in order
+    function sendNext(worker) {
+        if (worker.current || !worker.process) return;
+
+        if (worker.pending.length === 0) {
+            scheduleIdleStop(worker);
+            return;
+        }
+
+        clearTimeout(worker.idleTimer);
+        const request = worker.pending.shift();
+        worker.current = request;
+        worker.lastUsed = Date.now();
+        worker.process.stdin.write(JSON.stringify(request.input) + '\n');
+    }
+
+    // Workers with custom synthesis settings are only kept while they are in use;
+    // workers with the model defaults stay warm for the lifetime of the server
+    function scheduleIdleStop(worker) {
+        if (worker.args.length === 0 || idleTimeout <= 0) return;
+
+        clearTimeout(worker.idleTimer);
+        worker.idleTimer = setTimeout(() => {
+            if (worker.current || worker.pending.length > 0) return;
+
+            logger.info('Stopping idle Piper worker', { worker: worker.id });
+            removeWorker(worker);
+        }, idleTimeout);
+    }
+
+    // Take a worker out of the pool and stop its process. Only used for workers with nothing queued.
+    function removeWorker(worker) {
+        const group = workers.get(worker.key) || [];
+        group.splice(group.indexOf(worker), 1);
+        if (group.length === 0) workers.delete(worker.key);
+
+        worker.stopped = true;
+        if (worker.restartTimer) clearTimeout(worker.restartTimer);
+        clearTimeout(worker.idleTimer);
+        if (worker.process) worker.process.kill();
+    }
+
+    const load = w => w.pending.length + (w.current ? 1 : 0);
+
+    // At the limit, make room by stopping the worker that has been idle the longest.
+    // Returns false when every worker is busy.
+    function makeRoom() {
+        const all = [...workers.values()].flat();
+        if (all.length < maxWorkers) return true;
+
+        const idle = all.filter(w => load(w) === 0);
+        if (idle.length === 0) return false;
+
+        const oldest = idle.reduce((best, w) => w.lastUsed < best.lastUsed ? w : best);
+        logger.info('Stopping least recently used Piper worker', { worker: oldest.id, workers: all.length, maxWorkers: maxWorkers });
+        removeWorker(oldest);
+        return true;
+    }
+
+    function createWorker(key, modelPath, args, index) {
+        const worker = {
+            id: `${key.split('/').pop()}#${index}`,
+            key: key,
+            modelPath: modelPath,
+            args: args,
+            process: null,
+            warm: false,
+            current: null,
+            pending: [],
+            stderr: '',
+            completed: 0,
+            restarts: 0,
+            crashes: 0,
+            restartTimer: null,
+            killReason: null,
+            idleTimer: null,
+            stopped: false,
+            startedAt: Date.now(),
+            lastUsed: Date.now()
+        };
+
+        startWorker(worker);
+        return worker;
+    }
+
+    // Pick the least busy worker for this model, starting a new one while under both limits.
+    // Throws when a new process is needed but every worker in the pool is busy.
+    function getWorker(modelPath, args) {
+        const key = workerKey(modelPath, args);
+        const group = workers.get(key) || [];
+
+        const idle = group.find(w => load(w) === 0);
+        if (idle) return idle;
+
+        if (group.length < workersPerVoice && makeRoom()) {
+            const worker = createWorker(key, modelPath, args, group.length);
+            group.push(worker);
+            workers.set(key, group);
+            return worker;
+        }
+
+        if (group.length === 0) {
+            throw new Error(`All ${maxWorkers} Piper workers are busy - try again shortly`);
+        }
+        return group.reduce((best, w) => load(w) < load(best) ? w : best);
+    }
+
+    // Synthesize one utterance. Resolves with the output file path.
+    function synthesize({ modelPath, args = [] }, input, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                return reject(new Error('Job cancelled'));
+            }
+
+            const worker = getWorker(modelPath, args);
+
+            const request = { input, outputFile: input.output_file, resolve, reject };
+
+            // A cancelled request that Piper is already working on can only be stopped by killing the worker
+            const onAbort = () => {
+                const index = worker.pending.indexOf(request);
+                if (index !== -1) {
+                    worker.pending.splice(index, 1);
+                    reject(new Error('Job cancelled'));
+                } else if (worker.current === request && worker.process) {
+                    worker.killReason = new Error('Job cancelled');
+                    worker.process.kill('SIGKILL');
+                }
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+                const cleanup = () => signal.removeEventListener('abort', onAbort);
+                request.resolve = (value) => { cleanup(); resolve(value); };
+                request.reject = (error) => { cleanup(); reject(error); };
+            }
+
+            worker.pending.push(request);
+            sendNext(worker);
+        });
+    }
+
+    // Start a worker ahead of the first request so the model is loaded before anyone waits on it
+    function warmUp({ modelPath, args = [] }) {
+        try {
+            getWorker(modelPath, args);
+        } catch (err) {
+            logger.warn('Could not warm up Piper worker', { model: modelPath, error: err });
+        }
+    }
+
+    // Whether a worker for this model has already loaded it
+    function isWarm({ modelPath, args = [] }) {
+        const group = workers.get(workerKey(modelPath, args)) || [];
+        return group.some(w => w.warm);
+    }
+
+    function stats() {
+        return [...workers.values()].flat().map(w => ({
+            id: w.id,
+            running: Boolean(w.process),
+            pid: w.process ? w.process.pid : null,
+            warm: w.warm,
+            busy: Boolean(w.current),
+            pending: w.pending.length,
+            completed: w.completed,
+            restarts: w.restarts
+        }));
+    }
+
+    // Stop every worker running this model, e.g. after it was replaced or deleted.
+    // Queued requests fail; the next request starts a fresh worker.
+    function stopModel(modelPath) {
+        let stopped = 0;
+        for (const [key, group] of workers.entries()) {
+            group.filter(worker => worker.modelPath === modelPath).forEach(worker => {
+                group.splice(group.indexOf(worker), 1);
+                worker.stopped = true;
+                if (worker.restartTimer) clearTimeout(worker.restartTimer);
+                clearTimeout(worker.idleTimer);
+                failPending(worker, new Error('Voice model was changed'));
+                if (worker.process) {
+                    worker.killReason = new Error('Voice model was changed');
+                    worker.process.kill();
+                }
+                stopped++;
+            });
+            if (group.length === 0) workers.delete(key);
+        }
+        if (stopped > 0) {
+            logger.info('Stopped Piper workers for model', { model: modelPath, workers: stopped });
+        }
+        return stopped;
+    }
+
+    function shutdown() {
+        shuttingDown = true;
+        for (const worker of [...workers.values()].flat()) {
+            if (worker.restartTimer) clearTimeout(worker.restartTimer);
+            clearTimeout(worker.idleTimer);
+            if (worker.process) worker.process.kill();
+        }
+    }
+
+    return {
+        synthesize,
+        warmUp,
+        isWarm,
+        stats,
+        stopModel,
+        shutdown
+    };
+}
+
+module.exports = {
+    parsePiperStderr,
+    createPiperPool
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const { splitIntoChunks } = require('../chunker');
+
+// Google Translate TTS. Needs network access and only knows one Norwegian voice,
+// so it is mostly useful as a fallback when Piper cannot run.
+
+function createGoogleProvider({ chunkLength = 200, language = 'no' } = {}) {
+    // Google Translate TTS only accepts short input, so fetch it in chunks and join the MP3 frames
+    async function synthesize(job, { outputPath, signal, update }) {
+        const chunks = splitIntoChunks(job.spokenText, chunkLength);
+        const parts = [];
+
+        update({
+            status: 'generating_audio',
+            progress: 10,
+            chunks: { total: chunks.length, completed: 0 }
+        });
+
+        for (let i = 0; i < chunks.length; i++) {
+            const ttsUrl = `https://translate.google.com/translate_tts?ie=UTF-8&tl=${language}&client=tw-ob&q=${encodeURIComponent(chunks[i])}`;
+
+            const response = await fetch(ttsUrl, {
+                signal: signal,
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Google TTS error: ${response.status}`);
+            }
+
+            parts.push(Buffer.from(await response.arrayBuffer()));
+
+            update({
+                progress: 10 + Math.round(80 * (i + 1) / chunks.length),
+                chunks: { total: chunks.length, completed: i + 1 }
+            });
+        }
+
+        fs.writeFileSync(outputPath, Buffer.concat(parts));
+        return {};
+    }
+
+    return {
+        name: 'google',
+        label: 'Google TTS',
+        extension: '.mp3',
+        cacheable: false,
+        // Reachability is only known once we try, so failures are handled as synthesis errors
+        check: async () => ({ available: true }),
+        synthesize
+    };
+}
+
+module.exports = {
+    createGoogleProvider
+};
@@ -0,0 +1,69 @@
+const { createPiperProvider } = require('./piper');
+const { createGoogleProvider } = require('./google');
+const { createToneProvider } = require('./tone');
+
+// A provider turns a job into one audio file. Every provider has the same shape:
+//   name        - id used in TTS_PROVIDERS and the request's `provider` field
+//   label       - human readable name shown as the job's ttsProvider
+//   extension   - file extension of the audio it writes
+//   cacheable   - whether its output may be stored in the audio cache
+//   check(job)  - resolves { available, reason } without doing any synthesis
+//   synthesize(job, { outputPath, signal, update, log }) - writes the audio file and resolves
+//                 with extra job fields; update(changes) reports status and progress,
+//                 log is a logger carrying the job and request ids. When job.captions is set,
+//                 providers that know their segment timings add cues: [{ start, end, text }]
+
+function createProviderRegistry() {
+    const providers = new Map();
+
+    function register(provider) {
+        if (providers.has(provider.name)) {
+            throw new Error(`TTS provider already registered: ${provider.name}`);
+        }
+        providers.set(provider.name, provider);
+        return provider;
+    }
+
+    function get(name) {
+        return providers.get(name) || null;
+    }
+
+    function has(name) {
+        return providers.has(name);
+    }
+
+    // Turn a list of provider names into providers, rejecting names nobody registered
+    function resolve(names) {
+        return names.map(name => {
+            const provider = providers.get(name);
+            if (!provider) {
+                throw new Error(`Unknown TTS provider: ${name}`);
+            }
+            return provider;
+        });
+    }
+
+    function list() {
+        return [...providers.values()].map(provider => ({
+            name: provider.name,
+            label: provider.label,
+            format: provider.extension.slice(1),
+            cacheable: provider.cacheable
+        }));
+    }
+
+    return {
+        register,
+        get,
+        has,
+        resolve,
+        list
+    };
+}
+
+module.exports = {
+    createProviderRegistry,
+    createPiperProvider,
+    createGoogleProvider,
+    createToneProvider
+};
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const { loadVoiceCatalog, resolveVoice, synthesisArgs } = require('../voices');
+const { splitIntoChunks, splitSentences } = require('../chunker');
+const { concatWav, wavDuration } = require('../wav');
+const { buildCues } = require('../captions');
+
+// Piper voices running in the persistent worker pool. Long text is synthesized
+// chunk by chunk and joined into one WAV file. Jobs that want captions are synthesized
+// one sentence at a time so every sentence gets its own timing.
+
+// Apply an SSML rate multiplier to a length scale, staying inside what Piper handles well
+function scaleLength(lengthScale, rate) {
+    return Math.min(5, Math.max(0.1, Math.round(lengthScale * rate * 100) / 100));
+}
+
+function createPiperProvider({ modelsDir, workDir, pool, ensureInstalled, chunkLength = 400, defaultSentenceSilence = 0.2 }) {
+    function findVoice(job) {
+        return resolveVoice(loadVoiceCatalog(modelsDir), job.voice);
+    }
+
+    async function check(job) {
+        let voice;
+        try {
+            voice = findVoice(job);
+        } catch (err) {
+            return { available: false, reason: `Could not read models: ${err.message}` };
+        }
+
+        if (!voice) {
+            return { available: false, reason: `No Piper model for voice ${job.voice}` };
+        }
+
+        // Piper is installed on demand the first time it is needed
+        const install = await ensureInstalled();
+        if (!install.success) {
+            return { available: false, reason: `Piper CLI not available: ${install.error}` };
+        }
+
+        return { available: true };
+    }
+
+    async function synthesize(job, { outputPath, signal, update, log }) {
+        const voice = findVoice(job);
+        if (!voice || !fs.existsSync(voice.path)) {
+            throw new Error(`Model file not found for voice ${job.voice}`);
+        }
+
+        const chunkPaths = [];
+
+        try {
+            // Only a cold worker has to load the model first
+            const synthesis = job.synthesis || {};
+            const baseSpec = { modelPath: voice.path, args: synthesisArgs(synthesis) };
+            if (!pool.isWarm(baseSpec)) {
+                update({ status: 'loading_model' });
+            }
+
+            log.info('Using Piper model', { model: voice.file });
+
+            // SSML jobs carry their own segments; plain text is a single segment. Caption jobs come
+            // split into sentences that know their written text, and are kept as they are.
+            const segments = job.segments || [{ type: 'text', text: job.spokenText, rate: 1 }];
+            const pieces = segment => segment.displayText !== undefined ? [segment.text] : job.captions
+                ? splitIntoChunks(segment.text, chunkLength).flatMap(splitSentences)
+                : splitIntoChunks(segment.text, chunkLength);
+            const units = segments.flatMap(segment => segment.type === 'break'
+                ? [{ type: 'break', seconds: segment.seconds }]
+                : pieces(segment).map(chunk => ({ type: 'speech', text: chunk, displayText: segment.displayText, rate: segment.rate })));
+            const speechUnits = units.filter(unit => unit.type === 'speech');
+
+            if (speechUnits.length === 0) {
+                throw new Error('Text contains nothing to synthesize');
+            }
+
+            update({
+                status: 'generating_audio',
+                progress: 10,
+                chunks: { total: speechUnits.length, completed: 0 }
+            });
+
+            log.info('Running Piper', { chunks: speechUnits.length, characters: job.spokenText.length });
+
+            for (let i = 0; i < speechUnits.length; i++) {
+                signal?.throwIfAborted();
+
+                const unit = speechUnits[i];
+                unit.path = path.join(workDir, `${job.id}_part${i}.wav`);
+                chunkPaths.push(unit.path);
+
+                // A <prosody rate> segment scales the request's length scale
+                const workerSpec = unit.rate === 1 ? baseSpec : {
+                    modelPath: voice.path,
+                    args: synthesisArgs({
+                        ...synthesis,
+                        lengthScale: scaleLength(synthesis.lengthScale ?? voice.inference.length_scale ?? 1, unit.rate)
+                    })
+                };
+
+                await pool.synthesize(workerSpec, {
+                    text: unit.text.replace(/\s+/g, ' '),
+                    output_file: unit.path,
+                    ...(synthesis.speakerId !== undefined ? { speaker_id: synthesis.speakerId } : {})
+                }, signal);
+
+                update({
+                    progress: 10 + Math.round(80 * (i + 1) / speechUnits.length),
+                    chunks: { total: speechUnits.length, completed: i + 1 }
+                });
+                log.debug('Chunk done', { chunk: i + 1, chunks: speechUnits.length });
+            }
+
+            update({ status: 'finalizing' });
+
+            // Chunks get the same pause between them as Piper puts between sentences; breaks become silence
+            const gapSeconds = synthesis.sentenceSilence ?? defaultSentenceSilence;
+            const items = units.map(unit => unit.type === 'break' ? { silence: unit.seconds } : fs.readFileSync(unit.path));
+            const audio = concatWav(items, { gapSeconds: gapSeconds });
+            signal?.throwIfAborted();
+            fs.writeFileSync(outputPath, audio);
+
+            if (!job.captions) {
+                return { modelUsed: voice.file };
+            }
+
+            const cues = buildCues(units.map((unit, i) => unit.type === 'break'
+                ? { silence: unit.seconds }
+                : { text: unit.displayText ?? unit.text, seconds: wavDuration(items[i]) }), { gapSeconds: gapSeconds });
+            return { modelUsed: voice.file, cues: cues };
+        } finally {
+            chunkPaths.forEach(p => {
+                if (fs.existsSync(p)) fs.unlinkSync(p);
+            });
+        }
+    }
+
+    return {
+        name: 'piper',
+        label: 'Piper CLI',
+        extension: '.wav',
+        cacheable: true,
+        check,
+        synthesize
+    };
+}
+
+module.exports = {
+    createPiperProvider
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const { splitIntoChunks, splitSentences } = require('../chunker');
+const { concatWav, createWavHeader, wavDuration } = require('../wav');
+const { buildCues } = require('../captions');
+
+// Offline test provider: one beep per sentence (or plain silence when frequency is 0),
+// about as long as a voice would need for it. Lets the whole job pipeline run without
+// Piper models or network access.
+
+const FADE_SECONDS = 0.01;
+
+function createTone(format, seconds, frequency) {
+    const samples = Math.round(seconds * format.sampleRate);
+    const fadeSamples = Math.round(FADE_SECONDS * format.sampleRate);
+    const data = Buffer.alloc(samples * 2);
+
+    if (frequency > 0) {
+        for (let i = 0; i < samples; i++) {
+            // Fade in and out so the beeps do not click
+            const fade = Math.min(1, i / fadeSamples, (samples - 1 - i) / fadeSamples);
+            const value = Math.sin(2 * Math.PI * frequency * i / format.sampleRate) * 0.2 * fade;
+            data.writeInt16LE(Math.round(value * 32767), i * 2);
+        }
+    }
+
+    return Buffer.concat([createWavHeader(format, data.length), data]);
+}
+
+function createToneProvider({ name = 'tone', label = 'Test tone', frequency = 440, sampleRate = 22050, secondsPerCharacter = 0.06, defaultSentenceSilence = 0.2 } = {}) {
+    const format = { audioFormat: 1, channels: 1, sampleRate: sampleRate, bitsPerSample: 16 };
+
+    async function synthesize(job, { outputPath, signal, update }) {
+        const synthesis = job.synthesis || {};
+        const segments = job.segments || [{ type: 'text', text: job.spokenText, rate: 1 }];
+
+        update({ status: 'generating_audio', progress: 10 });
+
+        // Caption jobs come split into sentences that know their written text
+        const sentences = segment => segment.displayText !== undefined ? [segment.text] : splitIntoChunks(segment.text).flatMap(splitSentences);
+        const parts = segments.flatMap(segment => segment.type === 'break'
+            ? [{ silence: segment.seconds }]
+            : sentences(segment).map(sentence => {
+                const seconds = Math.max(0.2, sentence.length * secondsPerCharacter * (synthesis.lengthScale ?? 1) * segment.rate);
+                return { text: segment.displayText ?? sentence, audio: createTone(format, seconds, frequency) };
+            }));
+        const items = parts.map(part => part.audio || part);
+
+        if (!items.some(Buffer.isBuffer)) {
+            throw new Error('Text contains nothing to synthesize');
+        }
+
+        const gapSeconds = synthesis.sentenceSilence ?? defaultSentenceSilence;
+        signal?.throwIfAborted();
+        fs.writeFileSync(outputPath, concatWav(items, { gapSeconds: gapSeconds }));
+
+        if (!job.captions) {
+            return {};
+        }
+
+        return {
+            cues: buildCues(parts.map(part => part.audio
+                ? { text: part.text, seconds: wavDuration(part.audio) }
+                : part), { gapSeconds: gapSeconds })
+        };
+    }
+
+    return {
+        name: name,
+        label: label,
+        extension: '.wav',
+        cacheable: false,
+        check: async () => ({ available: true }),
+        synthesize
+    };
+}
+
+module.exports = {
+    createToneProvider
+};
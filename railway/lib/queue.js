@@ -0,0 +1,92 @@
+const { logger } = require('./logger');
+
+// Bounded priority queue for synthesis jobs
+
+const PRIORITIES = {
+    high: 10,
+    normal: 0,
+    low: -10
+};
+
+function createJobQueue({ concurrency = 1, onChange = () => {} } = {}) {
+    const pending = [];
+    const running = new Map();
+    let sequence = 0;
+
+    // Start as many queued tasks as the concurrency limit allows
+    function next() {
+        while (running.size < concurrency && pending.length > 0) {
+            const entry = pending.shift();
+            const controller = new AbortController();
+            running.set(entry.jobId, controller);
+
+            Promise.resolve()
+                .then(() => entry.task(controller.signal))
+                .catch(error => {
+                    logger.error('Queue task failed', { jobId: entry.jobId, error: error });
+                })
+                .finally(() => {
+                    running.delete(entry.jobId);
+                    next();
+                });
+        }
+
+        onChange(pending.map(entry => entry.jobId));
+    }
+
+    // Higher priority first, FIFO within the same priority
+    function enqueue(jobId, task, priority = PRIORITIES.normal) {
+        pending.push({ jobId, task, priority, sequence: sequence++ });
+        pending.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+        next();
+        return position(jobId);
+    }
+
+    // Remove a queued job, or abort a running one. Returns what was cancelled.
+    function cancel(jobId) {
+        const index = pending.findIndex(entry => entry.jobId === jobId);
+        if (index !== -1) {
+            pending.splice(index, 1);
+            next();
+            return 'queued';
+        }
+
+        const controller = running.get(jobId);
+        if (controller) {
+            controller.abort();
+            return 'running';
+        }
+
+        return null;
+    }
+
+    // 1-based position among waiting jobs, 0 while running, null if unknown
+    function position(jobId) {
+        if (running.has(jobId)) {
+            return 0;
+        }
+
+        const index = pending.findIndex(entry => entry.jobId === jobId);
+        return index === -1 ? null : index + 1;
+    }
+
+    function stats() {
+        return {
+            concurrency: concurrency,
+            running: running.size,
+            queued: pending.length
+        };
+    }
+
+    return {
+        enqueue,
+        cancel,
+        position,
+        stats
+    };
+}
+
+module.exports = {
+    PRIORITIES,
+    createJobQueue
+};
@@ -0,0 +1,319 @@
+const { digits, telephoneToWords, dateToWords } = require('./normalize');
+
+// Parse the SSML subset we support into synthesis segments:
+//   { type: 'text', text, rate }  - rate multiplies the request's length scale
+//   { type: 'break', seconds }
+// Supported: <speak>, <break>, <prosody rate>, <s>, <p>, <say-as interpret-as="date|telephone|characters">
+
+const MAX_BREAK_SECONDS = 10;
+// Pauses are cheap to write but become real audio held in memory, so the whole request is capped too
+const MAX_TOTAL_BREAK_SECONDS = 60;
+const PARAGRAPH_PAUSE = 0.4;
+
+const BREAK_STRENGTHS = {
+    'none': 0,
+    'x-weak': 0.1,
+    'weak': 0.25,
+    'medium': 0.5,
+    'strong': 0.75,
+    'x-strong': 1.25
+};
+
+// Length scale multipliers - a higher value means slower speech
+const RATES = {
+    'x-slow': 1.6,
+    'slow': 1.25,
+    'medium': 1,
+    'fast': 0.8,
+    'x-fast': 0.65
+};
+
+const LETTERS = {
+    a: 'a', b: 'be', c: 'se', d: 'de', e: 'e', f: 'eff', g: 'ge', h: 'hå', i: 'i', j: 'je',
+    k: 'kå', l: 'ell', m: 'emm', n: 'enn', o: 'o', p: 'pe', q: 'ku', r: 'ærr', s: 'ess',
+    t: 'te', u: 'u', v: 've', w: 'dobbelt-ve', x: 'eks', y: 'y', z: 'sett', æ: 'æ', ø: 'ø', å: 'å'
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        if (!(entity in ENTITIES)) {
+            throw new Error(`Unknown entity &${entity};`);
+        }
+        return ENTITIES[entity];
+    });
+}
+
+function parseAttributes(source, tagName) {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let rest = source;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+        rest = rest.replace(match[0], '');
+    }
+
+    if (rest.trim()) {
+        throw new Error(`Malformed attributes on <${tagName}>: ${rest.trim()}`);
+    }
+
+    return attributes;
+}
+
+// Split markup into open/close/self-closing tags and text
+function tokenize(ssml) {
+    const tokens = [];
+    const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:-]+)((?:\s+[^<>]*?)?)\s*(\/?)>|([^<]+)|(<)/g;
+    let match;
+
+    while ((match = pattern.exec(ssml)) !== null) {
+        const [whole, closing, name, attributes, selfClosing, text, strayBracket] = match;
+
+        if (strayBracket) {
+            throw new Error(`Unexpected "<" at position ${match.index}`);
+        }
+        if (whole.startsWith('<!--') || whole.startsWith('<?')) {
+            continue;
+        }
+        if (text !== undefined) {
+            tokens.push({ type: 'text', text: decodeEntities(text) });
+        } else if (closing) {
+            if (attributes.trim() || selfClosing) {
+                throw new Error(`Malformed closing tag </${name}>`);
+            }
+            tokens.push({ type: 'close', name });
+        } else {
+            tokens.push({ type: 'open', name, attributes: parseAttributes(attributes, name), selfClosing: Boolean(selfClosing) });
+        }
+    }
+
+    return tokens;
+}
+
+function parseBreakTime(attributes) {
+    if (attributes.time !== undefined) {
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s)\s*$/.exec(attributes.time);
+        if (!match) {
+            throw new Error(`Invalid break time "${attributes.time}" - use e.g. "500ms" or "2s"`);
+        }
+        const seconds = match[2] === 'ms' ? Number(match[1]) / 1000 : Number(match[1]);
+        return Math.min(seconds, MAX_BREAK_SECONDS);
+    }
+
+    const strength = attributes.strength || 'medium';
+    if (!(strength in BREAK_STRENGTHS)) {
+        throw new Error(`Invalid break strength "${strength}"`);
+    }
+    return BREAK_STRENGTHS[strength];
+}
+
+function parseRate(rate) {
+    if (rate in RATES) {
+        return RATES[rate];
+    }
+
+    const match = /^\s*(\d+(?:\.\d+)?)%\s*$/.exec(rate || '');
+    if (!match || Number(match[1]) < 20 || Number(match[1]) > 500) {
+        throw new Error(`Invalid prosody rate "${rate}" - use x-slow..x-fast or a percentage between 20% and 500%`);
+    }
+
+    // 200% speed means half the length
+    return 100 / Number(match[1]);
+}
+
+function charactersToWords(text) {
+    return [...text.replace(/\s+/g, '')]
+        .map(c => LETTERS[c.toLowerCase()] || (/\d/.test(c) ? digits(c) : c))
+        .join(' ');
+}
+
+function sayAsDate(text, format = 'dmy') {
+    let day, month, year;
+    const iso = /^\s*(\d{4})-(\d{1,2})-(\d{1,2})\s*$/.exec(text);
+    const parts = text.trim().split(/[./-]/).filter(Boolean);
+
+    if (iso) {
+        [, year, month, day] = iso;
+    } else if (format === 'dmy' || format === 'dm') {
+        [day, month, year] = parts;
+    } else if (format === 'mdy' || format === 'md') {
+        [month, day, year] = parts;
+    } else if (format === 'ymd') {
+        [year, month, day] = parts;
+    } else {
+        throw new Error(`Unsupported say-as date format "${format}"`);
+    }
+
+    const words = day && month && /^\d+$/.test(day) && /^\d+$/.test(month) && (!year || /^\d{2}(\d{2})?$/.test(year))
+        ? dateToWords(day, month, year)
+        : null;
+    if (!words) {
+        throw new Error(`Invalid date "${text.trim()}" in <say-as>`);
+    }
+    return words;
+}
+
+function sayAs(interpretAs, format, text) {
+    switch (interpretAs) {
+        case 'date':
+            return sayAsDate(text, format);
+        case 'telephone':
+            return telephoneToWords(text);
+        case 'characters':
+        case 'spell-out':
+            return charactersToWords(text);
+        default:
+            throw new Error(`Unsupported say-as interpret-as "${interpretAs}" - use date, telephone or characters`);
+    }
+}
+
+function parseSsml(ssml) {
+    if (typeof ssml !== 'string' || !ssml.trim()) {
+        throw new Error('SSML is required');
+    }
+
+    const tokens = tokenize(ssml.trim());
+    const segments = [];
+    const stack = [];
+    let buffer = '';
+    let sayAsText = null;
+
+    const currentRate = () => stack.reduce((rate, element) => element.rate ? rate * element.rate : rate, 1);
+
+    // Close the current text segment, e.g. at a break or a rate change
+    const flush = () => {
+        const text = buffer.replace(/\s+/g, ' ').replace(/\s+([,.!?;:])/g, '$1').trim();
+        if (text) {
+            segments.push({ type: 'text', text, rate: currentRate() });
+        }
+        buffer = '';
+    };
+
+    const pause = (seconds) => {
+        flush();
+        if (seconds > 0) {
+            segments.push({ type: 'break', seconds });
+        }
+    };
+
+    tokens.forEach((token, index) => {
+        if (token.type === 'text') {
+            if (stack.length === 0) {
+                if (token.text.trim()) throw new Error('Text outside <speak>');
+                return;
+            }
+            if (sayAsText !== null) {
+                sayAsText += token.text;
+            } else {
+                buffer += token.text;
+            }
+            return;
+        }
+
+        if (index === 0 && (token.type !== 'open' || token.name !== 'speak')) {
+            throw new Error('SSML must start with <speak>');
+        }
+        if (stack.length === 0 && index > 0) {
+            throw new Error(`Unexpected <${token.type === 'close' ? '/' : ''}${token.name}> after </speak>`);
+        }
+
+        if (token.type === 'close') {
+            const open = stack.pop();
+            if (!open || open.name !== token.name) {
+                throw new Error(`Mismatched closing tag </${token.name}>${open ? ` - expected </${open.name}>` : ''}`);
+            }
+
+            if (open.name === 'say-as') {
+                buffer += ` ${sayAs(open.attributes['interpret-as'], open.attributes.format, sayAsText)} `;
+                sayAsText = null;
+            } else if (open.name === 'prosody' || open.name === 's') {
+                // Flush before leaving the element so its text keeps the element's rate
+                stack.push(open);
+                flush();
+                stack.pop();
+            } else if (open.name === 'p') {
+                stack.push(open);
+                flush();
+                stack.pop();
+                pause(PARAGRAPH_PAUSE);
+            } else if (open.name === 'speak') {
+                flush();
+            }
+            return;
+        }
+
+        if (sayAsText !== null) {
+            throw new Error('<say-as> cannot contain other elements');
+        }
+
+        switch (token.name) {
+            case 'speak':
+                if (stack.length > 0) throw new Error('<speak> cannot be nested');
+                break;
+            case 'break':
+                if (!token.selfClosing) throw new Error('<break> must be self-closing: <break time="500ms"/>');
+                pause(parseBreakTime(token.attributes));
+                return;
+            case 'prosody':
+                flush();
+                if (token.attributes.rate === undefined) throw new Error('<prosody> requires a rate attribute');
+                token.rate = parseRate(token.attributes.rate);
+                break;
+            case 's':
+            case 'p':
+                flush();
+                break;
+            case 'say-as':
+                if (!token.attributes['interpret-as']) throw new Error('<say-as> requires an interpret-as attribute');
+                sayAsText = '';
+                break;
+            default:
+                throw new Error(`Unsupported SSML element <${token.name}>`);
+        }
+
+        if (token.selfClosing) {
+            if (token.name === 'say-as') {
+                sayAsText = null;
+            }
+            return;
+        }
+        stack.push(token);
+    });
+
+    if (stack.length > 0) {
+        throw new Error(`Unclosed <${stack[stack.length - 1].name}>`);
+    }
+
+    if (!segments.some(s => s.type === 'text')) {
+        throw new Error('SSML contains no text to speak');
+    }
+
+    const totalBreak = segments.reduce((total, s) => total + (s.type === 'break' ? s.seconds : 0), 0);
+    if (totalBreak > MAX_TOTAL_BREAK_SECONDS) {
+        throw new Error(`Pauses add up to ${Math.round(totalBreak * 10) / 10}s - at most ${MAX_TOTAL_BREAK_SECONDS}s per request`);
+    }
+
+    // Trailing pauses add nothing
+    while (segments.length > 0 && segments[segments.length - 1].type === 'break') {
+        segments.pop();
+    }
+
+    return segments;
+}
+
+// Plain text of the segments, for logging, length limits and providers without SSML support
+function segmentsToText(segments) {
+    return segments.filter(s => s.type === 'text').map(s => s.text).join(' ');
+}
+
+module.exports = {
+    parseSsml,
+    segmentsToText
+};
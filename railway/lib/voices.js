@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+
+// Read the .onnx.json sidecar Piper ships next to every model
+function readModelConfig(modelPath) {
+    const configPath = `${modelPath}.json`;
+    if (!fs.existsSync(configPath)) {
+        return { config: null, error: 'Missing .onnx.json config' };
+    }
+
+    try {
+        return { config: JSON.parse(fs.readFileSync(configPath, 'utf8')), error: null };
+    } catch (err) {
+        return { config: null, error: `Invalid .onnx.json config: ${err.message}` };
+    }
+}
+
+// Build a single catalog entry from a model file and its config
+function describeVoice(modelsDir, file) {
+    const modelPath = path.join(modelsDir, file);
+    const { config, error } = readModelConfig(modelPath);
+    const language = (config && config.language) || {};
+    const audio = (config && config.audio) || {};
+    const speakerIdMap = (config && config.speaker_id_map) || {};
+    const inference = (config && config.inference) || {};
+
+    return {
+        id: file.replace(/\.onnx$/, ''),
+        file: file,
+        path: modelPath,
+        language: {
+            code: language.code || null,
+            family: language.family || null,
+            region: language.region || null,
+            name: language.name_native || language.name_english || null
+        },
+        quality: audio.quality || null,
+        sample_rate: audio.sample_rate || null,
+        num_speakers: (config && config.num_speakers) || 1,
+        speakers: Object.entries(speakerIdMap).map(([name, id]) => ({ name, id })),
+        inference: {
+            length_scale: inference.length_scale ?? null,
+            noise_scale: inference.noise_scale ?? null,
+            noise_w: inference.noise_w ?? null
+        },
+        dataset: (config && config.dataset) || null,
+        config_error: error
+    };
+}
+
+// Scan MODELS_DIR for .onnx models, sorted so the default voice is stable
+function loadVoiceCatalog(modelsDir) {
+    if (!fs.existsSync(modelsDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(modelsDir)
+        .filter(f => f.endsWith('.onnx'))
+        .sort()
+        .map(file => describeVoice(modelsDir, file));
+}
+
+// Pick the voice named by the request; 'default' (or nothing) means the first model
+function resolveVoice(catalog, voice) {
+    if (catalog.length === 0) {
+        return null;
+    }
+
+    if (!voice || voice === 'default') {
+        return catalog[0];
+    }
+
+    return catalog.find(v => v.id === voice || v.file === voice) || null;
+}
+
+// Allowed ranges for the optional synthesis controls
+const SYNTHESIS_RANGES = {
+    lengthScale: { min: 0.1, max: 5 },
+    noiseScale: { min: 0, max: 2 },
+    noiseW: { min: 0, max: 2 },
+    sentenceSilence: { min: 0, max: 10 }
+};
+
+// Validate synthesis controls against the selected voice. Returns { options } or { error }.
+// Without a Piper voice (no models installed) only the voice-independent controls are allowed.
+function validateSynthesisOptions(voice, input) {
+    const options = {};
+
+    for (const [name, range] of Object.entries(SYNTHESIS_RANGES)) {
+        const value = input[name];
+        if (value === undefined || value === null) continue;
+
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < range.min || value > range.max) {
+            return { error: `${name} must be a number between ${range.min} and ${range.max}` };
+        }
+        options[name] = value;
+    }
+
+    // Speakers can be picked by numeric id or by name from speaker_id_map
+    let speakerId = input.speakerId;
+    if (!voice && (input.speaker !== undefined || (speakerId !== undefined && speakerId !== null))) {
+        return { error: 'Speakers can only be picked for a Piper voice' };
+    }
+
+    if (speakerId === undefined && input.speaker !== undefined) {
+        const speaker = voice.speakers.find(s => s.name === input.speaker);
+        if (!speaker) {
+            return { error: `Unknown speaker "${input.speaker}" for voice ${voice.id}` };
+        }
+        speakerId = speaker.id;
+    }
+
+    if (speakerId !== undefined && speakerId !== null) {
+        if (!Number.isInteger(speakerId) || speakerId < 0 || speakerId >= voice.num_speakers) {
+            return {
+                error: voice.num_speakers > 1
+                    ? `speakerId must be an integer between 0 and ${voice.num_speakers - 1} for voice ${voice.id}`
+                    : `Voice ${voice.id} has a single speaker`
+            };
+        }
+        options.speakerId = speakerId;
+    }
+
+    return { options };
+}
+
+// Every distinct value needs its own Piper process, so they are rounded to steps nobody can hear apart
+const SYNTHESIS_STEP = 0.05;
+
+const roundSetting = value => String(Number((Math.round(value / SYNTHESIS_STEP) * SYNTHESIS_STEP).toFixed(2)));
+
+// Piper CLI arguments for the options that are fixed per process
+function synthesisArgs(options) {
+    const args = [];
+
+    if (options.lengthScale !== undefined) args.push('--length_scale', roundSetting(options.lengthScale));
+    if (options.noiseScale !== undefined) args.push('--noise_scale', roundSetting(options.noiseScale));
+    if (options.noiseW !== undefined) args.push('--noise_w', roundSetting(options.noiseW));
+    if (options.sentenceSilence !== undefined) args.push('--sentence_silence', roundSetting(options.sentenceSilence));
+
+    return args;
+}
+
+module.exports = {
+    loadVoiceCatalog,
+    resolveVoice,
+    validateSynthesisOptions,
+    synthesisArgs
+};
@@ -0,0 +1,121 @@
+// Minimal WAV helpers for joining Piper's PCM output
+
+// Locate the fmt and data chunks of a RIFF/WAVE buffer
+function parseWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const start = offset + 8;
+        // Piper can leave the data size at 0 or 0xFFFFFFFF when streaming, so clamp to what we have
+        const end = Math.min(start + size, buffer.length);
+
+        if (id === 'fmt ') {
+            format = {
+                audioFormat: buffer.readUInt16LE(start),
+                channels: buffer.readUInt16LE(start + 2),
+                sampleRate: buffer.readUInt32LE(start + 4),
+                bitsPerSample: buffer.readUInt16LE(start + 14)
+            };
+        } else if (id === 'data') {
+            data = buffer.subarray(start, size === 0 ? buffer.length : end);
+            break;
+        }
+
+        // Chunks are padded to an even number of bytes
+        offset = start + size + (size % 2);
+    }
+
+    if (!format || !data) {
+        throw new Error('WAV file is missing fmt or data chunk');
+    }
+
+    return { format, data };
+}
+
+// Canonical 44-byte PCM header for the given format and data length
+function createWavHeader(format, dataLength) {
+    const blockAlign = format.channels * format.bitsPerSample / 8;
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(format.audioFormat || 1, 20);
+    header.writeUInt16LE(format.channels, 22);
+    header.writeUInt32LE(format.sampleRate, 24);
+    header.writeUInt32LE(format.sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(format.bitsPerSample, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataLength, 40);
+
+    return header;
+}
+
+// PCM silence of the given length in the given format
+function createSilence(format, seconds) {
+    const blockAlign = format.channels * format.bitsPerSample / 8;
+    return Buffer.alloc(Math.round(seconds * format.sampleRate) * blockAlign);
+}
+
+// Length in seconds of the audio in a WAV buffer
+function wavDuration(buffer) {
+    const { format, data } = parseWav(buffer);
+    return data.length / (format.sampleRate * format.channels * format.bitsPerSample / 8);
+}
+
+// Join WAV buffers with identical formats into one. Items can also be { silence: seconds };
+// gapSeconds of silence is put between two consecutive audio buffers.
+function concatWav(items, { gapSeconds = 0 } = {}) {
+    const parts = items.map(item => Buffer.isBuffer(item) ? parseWav(item) : item);
+    const audioParts = parts.filter(part => part.format);
+
+    if (audioParts.length === 0) {
+        throw new Error('No audio to join');
+    }
+
+    const format = audioParts[0].format;
+
+    for (const part of audioParts) {
+        if (part.format.sampleRate !== format.sampleRate ||
+            part.format.channels !== format.channels ||
+            part.format.bitsPerSample !== format.bitsPerSample) {
+            throw new Error('Cannot join WAV files with different formats');
+        }
+    }
+
+    const gap = createSilence(format, gapSeconds);
+    const chunks = [];
+
+    parts.forEach((part, i) => {
+        if (!part.format) {
+            chunks.push(createSilence(format, part.silence));
+            return;
+        }
+        if (i > 0 && parts[i - 1].format && gap.length > 0) {
+            chunks.push(gap);
+        }
+        chunks.push(part.data);
+    });
+
+    const data = Buffer.concat(chunks);
+    return Buffer.concat([createWavHeader(format, data.length), data]);
+}
+
+module.exports = {
+    parseWav,
+    createWavHeader,
+    createSilence,
+    wavDuration,
+    concatWav
+};
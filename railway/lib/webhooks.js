@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { logger } = require('./logger');
+
+// Job callbacks. When a job with a callbackUrl finishes, its final record is POSTed there as JSON
+// with these headers:
+//   X-Webhook-Id         - same for every retry of one delivery, for de-duplication
+//   X-Webhook-Event      - job.completed, job.failed or job.cancelled
+//   X-Webhook-Timestamp  - unix seconds when this attempt was sent
+//   X-Webhook-Signature  - sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret>
+// Receivers recompute the HMAC over the raw body and reject old timestamps. Network errors,
+// timeouts, 408, 429 and 5xx responses are retried with exponential backoff.
+//
+// Callers pick the URL, so callbacks never go to loopback, private or link-local addresses
+// (cloud metadata lives there). The address is checked when the connection is made, after DNS,
+// so a name that changes what it resolves to cannot get around it. Hosts on the allowlist are
+// trusted by the operator and may be internal.
+
+const RETRY_STATUSES = [408, 425, 429];
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+    // The same ranges embedded in NAT64 (64:ff9b::a.b.c.d) and 6to4 (2002:aabb:ccdd::) addresses
+    const [a, b, c, d] = address.split('.').map(Number);
+    const hex = (high, low) => ((high << 8) | low).toString(16);
+    BLOCKED_ADDRESSES.addSubnet(`64:ff9b::${hex(a, b)}:${hex(c, d)}`, 96 + prefix, 'ipv6');
+    BLOCKED_ADDRESSES.addSubnet(`2002:${hex(a, b)}:${hex(c, d)}::`, 16 + prefix, 'ipv6');
+});
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Why a callback URL is not acceptable, or null. Names are resolved later, when connecting.
+function checkCallbackUrl(callbackUrl, { allowHttp = false, allowedHosts = null } = {}) {
+    let url;
+    try {
+        url = new URL(callbackUrl);
+    } catch (err) {
+        return 'callbackUrl must be an absolute URL';
+    }
+
+    if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+        return allowHttp ? 'callbackUrl must use http or https' : 'callbackUrl must use https';
+    }
+
+    if (allowedHosts) {
+        return allowedHosts.some(host => host.toLowerCase() === url.hostname) ? null : `callbackUrl host ${url.hostname} is not on the webhook allowlist`;
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.+$/, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host))) {
+        return 'callbackUrl must point at a public address';
+    }
+    return null;
+}
+
+// dns.lookup that refuses names resolving to an address callbacks must not reach
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+        if (blocked) {
+            return callback(Object.assign(new Error(`${hostname} resolves to a non-public address (${blocked.address})`), { code: 'EBLOCKED' }));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POST the body and resolve with the status code. Redirects are not followed.
+function post(url, headers, body, { timeout, trusted }) {
+    return new Promise((resolve, reject) => {
+        const transport = new URL(url).protocol === 'https:' ? https : http;
+        const request = transport.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            ...(trusted ? {} : { lookup: publicLookup })
+        }, (response) => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+
+        const timer = setTimeout(() => {
+            request.destroy(Object.assign(new Error(`Timed out after ${timeout}ms`), { name: 'TimeoutError' }));
+        }, timeout);
+
+        request.on('error', reject);
+        request.on('close', () => clearTimeout(timer));
+        request.end(body);
+    });
+}
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// onChange(jobId, webhook) is called with the delivery state after every attempt
+function createWebhookSender({ secretFor, onChange, allowHttp = false, allowedHosts = null, maxAttempts = 6, baseDelay = 5000, maxDelay = 5 * 60 * 1000, timeout = 10000 }) {
+    const timers = new Map();
+
+    function retryDelay(attempt) {
+        return Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+    }
+
+    async function attempt(job, body, state) {
+        const log = logger.child({ jobId: job.id, requestId: job.requestId, webhookId: state.id });
+        const entry = { attempt: state.attempts.length + 1, at: new Date().toISOString() };
+        const startedAt = Date.now();
+        let retryable = false;
+
+        // Without a secret the receiver could not trust the payload, and retrying will not help.
+        // The URL is checked again, as jobs from before a configuration change may still be waiting.
+        const secret = secretFor(job.apiKey);
+        const urlError = checkCallbackUrl(state.url, { allowHttp, allowedHosts });
+        if (!secret) {
+            entry.error = 'No webhook secret configured for this API key';
+        } else if (urlError) {
+            entry.error = urlError;
+        } else {
+            try {
+                const timestamp = Math.floor(Date.now() / 1000);
+                const statusCode = await post(state.url, {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'BackendTTC-Webhook/1.0',
+                    'X-Webhook-Id': state.id,
+                    'X-Webhook-Event': state.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+                }, body, { timeout: timeout, trusted: Boolean(allowedHosts) });
+
+                // A redirect could point anywhere, so it counts as a failed delivery
+                entry.statusCode = statusCode;
+                if (statusCode < 200 || statusCode >= 300) {
+                    entry.error = `HTTP ${statusCode}`;
+                    retryable = statusCode >= 500 || RETRY_STATUSES.includes(statusCode);
+                }
+            } catch (error) {
+                entry.error = error.message;
+                retryable = error.code !== 'EBLOCKED';
+            }
+        }
+
+        entry.durationMs = Date.now() - startedAt;
+        state.attempts.push(entry);
+
+        if (!entry.error) {
+            Object.assign(state, { status: 'delivered', deliveredAt: new Date().toISOString(), nextAttemptAt: null });
+            log.info('Webhook delivered', { url: state.url, attempt: entry.attempt, statusCode: entry.statusCode });
+        } else if (retryable && state.attempts.length < maxAttempts) {
+            const delay = retryDelay(state.attempts.length);
+            Object.assign(state, { status: 'retrying', nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+            log.warn('Webhook delivery failed, retrying', { url: state.url, attempt: entry.attempt, error: entry.error, delayMs: delay });
+            schedule(job, body, state, delay);
+        } else {
+            Object.assign(state, { status: 'failed', nextAttemptAt: null });
+            log.error('Webhook delivery failed', { url: state.url, attempts: state.attempts.length, error: entry.error });
+        }
+
+        onChange(job.id, { ...state, attempts: [...state.attempts] });
+    }
+
+    function schedule(job, body, state, delay) {
+        clearTimeout(timers.get(job.id));
+        timers.set(job.id, setTimeout(() => {
+            timers.delete(job.id);
+            attempt(job, body, state);
+        }, delay));
+    }
+
+    // Start delivering a finished job, or pick up a delivery that was cut short by a restart.
+    // The payload is the job record as it was when it finished, without the delivery state.
+    function deliver(job) {
+        const { webhook: previous, ...record } = job;
+        const state = previous ? { ...previous, attempts: [...previous.attempts] } : {
+            id: crypto.randomUUID(),
+            url: job.callbackUrl,
+            event: `job.${job.status}`,
+            status: 'pending',
+            attempts: [],
+            deliveredAt: null,
+            nextAttemptAt: null
+        };
+
+        const wait = state.nextAttemptAt ? Math.max(0, Date.parse(state.nextAttemptAt) - Date.now()) : 0;
+        schedule(job, JSON.stringify(record), state, wait);
+        return { ...state, attempts: [...state.attempts] };
+    }
+
+    function pending() {
+        return timers.size;
+    }
+
+    // Drop scheduled retries; the state on each job lets deliver() resume them later
+    function stop() {
+        timers.forEach(timer => clearTimeout(timer));
+        timers.clear();
+    }
+
+    return {
+        deliver,
+        pending,
+        stop
+    };
+}
+
+module.exports = {
+    signPayload,
+    isPublicAddress,
+    checkCallbackUrl,
+    publicLookup,
+    createWebhookSender
+};
@@ -0,0 +1,120 @@
+const { once } = require('events');
+
+// Minimal streaming ZIP writer. Entries are stored without compression - audio does not
+// compress much anyway - and written as they are added; the central directory goes last.
+
+const MAX_ENTRIES = 0xFFFF;
+const MAX_SIZE = 0xFFFFFFFF;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ZIP stores local time in MS-DOS format with two-second resolution
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function createZipWriter(output) {
+    const entries = [];
+    let offset = 0;
+
+    async function write(buffer) {
+        if (output.destroyed) {
+            throw new Error('ZIP output was closed');
+        }
+
+        offset += buffer.length;
+        if (!output.write(buffer)) {
+            await Promise.race([once(output, 'drain'), once(output, 'close')]);
+        }
+    }
+
+    async function addFile(name, data, { modifiedAt = new Date() } = {}) {
+        if (entries.length >= MAX_ENTRIES) {
+            throw new Error(`ZIP archives are limited to ${MAX_ENTRIES} entries`);
+        }
+        if (data.length > MAX_SIZE || offset > MAX_SIZE) {
+            throw new Error('ZIP archive is too large');
+        }
+
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const { time, date } = dosDateTime(modifiedAt);
+        const entry = { nameBuffer, time, date, crc: crc32(data), size: data.length, offset };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(10, 4);            // version needed: stored entries
+        header.writeUInt16LE(0x0800, 6);        // file names are UTF-8
+        header.writeUInt16LE(0, 8);             // method: stored
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(entry.size, 18);   // compressed size
+        header.writeUInt32LE(entry.size, 22);   // uncompressed size
+        header.writeUInt16LE(nameBuffer.length, 26);
+        header.writeUInt16LE(0, 28);
+
+        entries.push(entry);
+        await write(Buffer.concat([header, nameBuffer]));
+        await write(data);
+    }
+
+    async function finish() {
+        const directoryOffset = offset;
+
+        for (const entry of entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4);        // version made by
+            header.writeUInt16LE(10, 6);
+            header.writeUInt16LE(0x0800, 8);
+            header.writeUInt16LE(0, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.size, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.nameBuffer.length, 28);
+            // extra field, comment, disk number, attributes are all zero
+            header.writeUInt32LE(entry.offset, 42);
+
+            await write(Buffer.concat([header, entry.nameBuffer]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(offset - directoryOffset, 12);
+        end.writeUInt32LE(directoryOffset, 16);
+
+        await write(end);
+        output.end();
+    }
+
+    return {
+        addFile,
+        finish
+    };
+}
+
+module.exports = {
+    crc32,
+    createZipWriter
+};
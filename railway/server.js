@@ -1,503 +1,1620 @@
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
-const { exec, spawn } = require('child_process');
-const { promisify } = require('util');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { loadVoiceCatalog, resolveVoice, validateSynthesisOptions, synthesisArgs } = require('./lib/voices');
+const { splitIntoChunks, splitSentences } = require('./lib/chunker');
+const { createWavHeader, wavDuration } = require('./lib/wav');
+const { createJobStore } = require('./lib/job-store');
+const { createJobQueue, PRIORITIES } = require('./lib/queue');
+const { createPiperPool, parsePiperStderr } = require('./lib/piper-pool');
+const { createPiperInstaller } = require('./lib/piper-install');
+const { cacheKey, createAudioCache } = require('./lib/audio-cache');
+const { normalizeText } = require('./lib/normalize');
+const { parseSsml, segmentsToText } = require('./lib/ssml');
+const { createZipWriter } = require('./lib/zip');
+const { createAuth } = require('./lib/auth');
+const { createModelManager } = require('./lib/models');
+const { shiftCues, toWebVtt, toSrt } = require('./lib/captions');
+const { POST_PROCESSING_FIELDS, validatePostProcessing, processAudio } = require('./lib/audio-process');
+const { createWebhookSender, checkCallbackUrl } = require('./lib/webhooks');
+const { createMetrics } = require('./lib/metrics');
+const { loadConfig } = require('./lib/config');
+const { logger } = require('./lib/logger');
+const { createProviderRegistry, createPiperProvider, createGoogleProvider, createToneProvider } = require('./lib/providers');
 
-const execAsync = promisify(exec);
+// Synthesis chunking
+const CHUNK_LENGTH = 400;
+const DEFAULT_SENTENCE_SILENCE = 0.2;
+const GOOGLE_CHUNK_LENGTH = 200;
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
 
-// Paths
-const MODELS_DIR = '/app/models';
-const AUDIO_DIR = '/tmp/audio';
-const PIPER_DIR = '/tmp/piper';
+// Build the server for a configuration from lib/config.js. Nothing listens, installs Piper or
+// runs periodic cleanup until listen() is called, so tests can boot it against temp directories.
+function createApp(config) {
+    const app = express();
+    let server = null;
 
-// Global status
-let piperInstalled = false;
-let piperPath = null;
+    // Paths
+    const MODELS_DIR = config.paths.models;
+    const AUDIO_DIR = config.paths.audio;
+    const PIPER_DIR = config.paths.piper;
 
-// Setup directories
-[AUDIO_DIR, PIPER_DIR].forEach(dir => {
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+    // Text limits
+    const MAX_TEXT_LENGTH = config.limits.maxTextLength;
+
+    // Global status
+    let activeStreams = 0;
+    let cleanupInterval = null;
+
+    // Timers that must not outlive close()
+    const timers = new Set();
+
+    function later(callback, delay) {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            callback();
+        }, delay);
+        timers.add(timer);
     }
-});
 
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use('/audio', express.static(AUDIO_DIR));
+    // Setup directories
+    [AUDIO_DIR, PIPER_DIR].forEach(dir => {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    });
+
+    // Allowed browser origins - '*' allows any origin
+    const CORS_ORIGINS = config.cors.origins;
+
+    // Middleware
+    app.set('trust proxy', 1);
+    app.use(cors({
+        origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+        exposedHeaders: ['Retry-After', 'Content-Disposition', 'X-Sample-Rate', 'X-Voice', 'X-Request-Id']
+    }));
+    app.use(express.json({ limit: '10mb' }));
+
+    // Metrics - scraped by Prometheus from /metrics
+    const metrics = createMetrics({ prefix: 'tts_' });
+    const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route, method and status', ['route', 'method', 'status']);
+    const jobOutcomes = metrics.counter('jobs_total', 'Finished TTS jobs by provider and outcome', ['provider', 'outcome', 'fallback']);
+    const charactersSynthesized = metrics.counter('characters_synthesized_total', 'Characters of text turned into audio', ['provider']);
+    const synthesisDuration = metrics.histogram('synthesis_duration_seconds', 'Time from synthesis starting until all audio is ready', ['provider', 'mode']);
+    const timeToFirstAudio = metrics.histogram('time_to_first_audio_seconds', 'Time from the request until the first audio is available', ['mode']);
+    const webhookAttempts = metrics.counter('webhook_attempts_total', 'Job callback delivery attempts by result', ['result']);
+    metrics.gauge('queue_depth', 'Jobs waiting for a synthesis slot', () => jobQueue.stats().queued);
+    metrics.gauge('queue_running', 'Jobs being synthesized right now', () => jobQueue.stats().running);
+    metrics.gauge('piper_processes', 'Running Piper processes', () => [
+        { labels: { kind: 'worker' }, value: piperPool.stats().filter(worker => worker.running).length },
+        { labels: { kind: 'stream' }, value: activeStreams }
+    ]);
+    metrics.gauge('audio_directory_bytes', 'Disk space used by the audio directory, including the cache', () => directorySize(AUDIO_DIR));
+
+    // Every request gets an id - the caller's X-Request-Id when it looks sane - and a logger that carries it.
+    // Requests are counted by the route that handled them; unmatched paths share one label to keep cardinality low.
+    app.use((req, res, next) => {
+        const incomingId = req.get('x-request-id');
+        req.id = incomingId && /^[\w.:-]{1,128}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+        
+        const start = Date.now();
+        res.on('close', () => {
+            const route = req.route ? req.baseUrl + req.route.path : req.originalUrl.startsWith('/audio/') ? '/audio' : 'unmatched';
+            httpRequests.inc({ route: route, method: req.method, status: res.statusCode });
+            
+            // Health checks and scrapes would drown everything else
+            const level = route === '/health' || route === '/metrics' ? 'debug' : 'info';
+            req.log[level]('Request finished', {
+                method: req.method,
+                route: route,
+                status: res.statusCode,
+                durationMs: Date.now() - start,
+                apiKey: req.apiKey ? req.apiKey.id : undefined
+            });
+        });
+        next();
+    });
+
+    app.use('/audio', express.static(AUDIO_DIR));
+
+    // Job store - file-backed by default so jobs survive container restarts
+    const JOB_STORE_TYPE = config.stores.type;
+
+    const jobs = createJobStore({ type: JOB_STORE_TYPE, filePath: config.stores.jobs });
+
+    // Batches group many jobs; they are stored next to the jobs and live as long as them
+    const MAX_BATCH_ITEMS = config.limits.maxBatchItems;
+
+    const batches = createJobStore({ type: JOB_STORE_TYPE, filePath: config.stores.batches });
+
+    // API keys - without client keys, synthesis stays open to anonymous callers (limited per IP)
+    // unless allowAnonymous is turned off. Admin routes always need an admin key.
+    const ALLOW_ANONYMOUS = config.auth.allowAnonymous;
 
-const jobs = new Map();
+    const usage = createJobStore({ type: JOB_STORE_TYPE, filePath: config.stores.usage });
 
-function getBaseUrl() {
-    const publicDomain = process.env.RAILWAY_PUBLIC_DOMAIN;
-    if (publicDomain) {
-        return `https://${publicDomain}`;
+    const auth = createAuth({
+        keys: config.auth.apiKeys,
+        allowAnonymous: ALLOW_ANONYMOUS,
+        defaultLimits: {
+            requestsPerMinute: config.auth.requestsPerMinute,
+            charactersPerDay: config.auth.charactersPerDay
+        },
+        usageStore: usage,
+        webhookSecret: config.webhooks.secret
+    });
+
+    const requireClient = auth.authenticate('client');
+    const requireAdmin = auth.authenticate('admin');
+
+    app.use('/api/admin', requireAdmin);
+
+    // Jobs and batches belong to the key that created them; admins may see everything
+    function belongsToCaller(record, apiKey) {
+        return !record.apiKey || record.apiKey === apiKey.id || apiKey.role === 'admin';
     }
-    return 'https://backendttc-production.up.railway.app';
-}
 
-// Install Piper CLI
-async function installPiper() {
-    if (piperInstalled && piperPath && fs.existsSync(piperPath)) {
-        return { success: true, message: 'Already installed' };
+    // Characters of text a synthesis request carries, for the per-key character limit
+    function requestCharacters(input) {
+        const items = Array.isArray(input) ? input : Array.isArray(input.items) ? input.items : [input];
+        return items.reduce((total, item) => {
+            const text = item && (item.text ?? item.ssml);
+            return total + (typeof text === 'string' ? text.length : 0);
+        }, 0);
     }
 
-    try {
-        console.log('📦 Installing Piper CLI...');
-        
-        // Download Piper for Linux
-        const piperUrl = 'https://github.com/rhasspy/piper/releases/download/v1.2.0/piper_linux_x86_64.tar.gz';
-        const downloadPath = '/tmp/piper.tar.gz';
+    // Audio cache - repeated phrases are served without synthesizing again
+    const AUDIO_CACHE_DIR = path.join(AUDIO_DIR, 'cache');
+
+    const audioCache = createAudioCache({ dir: AUDIO_CACHE_DIR, indexPath: config.stores.audioCache, maxBytes: config.cache.maxBytes });
+
+    // Persistent Piper workers - the model stays loaded between jobs
+    const piperPool = createPiperPool({
+        getPiperPath: () => piperInstaller.path(),
+        workersPerVoice: config.piper.workersPerVoice,
+        maxWorkers: config.piper.maxWorkers
+    });
+
+    // TTS providers - tried in this order unless the request names one
+    const TTS_PROVIDERS = config.providers;
+
+    const providers = createProviderRegistry();
+    providers.register(createPiperProvider({
+        modelsDir: MODELS_DIR,
+        workDir: AUDIO_DIR,
+        pool: piperPool,
+        ensureInstalled: installPiper,
+        chunkLength: CHUNK_LENGTH,
+        defaultSentenceSilence: DEFAULT_SENTENCE_SILENCE
+    }));
+    providers.register(createGoogleProvider({ chunkLength: GOOGLE_CHUNK_LENGTH }));
+    providers.register(createToneProvider({ defaultSentenceSilence: DEFAULT_SENTENCE_SILENCE }));
+    providers.register(createToneProvider({ name: 'silence', label: 'Silence', frequency: 0, defaultSentenceSilence: DEFAULT_SENTENCE_SILENCE }));
+
+    // A typo in the provider list should stop the server at startup, not fail every job
+    providers.resolve(TTS_PROVIDERS);
+
+    // Job status changes are published here for the SSE endpoint
+    const jobEvents = new EventEmitter();
+    jobEvents.setMaxListeners(0);
+
+    // Job callbacks - a job's callbackUrl gets its final record, signed with the key's webhookSecret
+    // (or the shared webhook secret). Plain http callbacks are only allowed with allowHttp, and
+    // with allowedHosts only those hosts can be called back.
+    const WEBHOOK_OPTIONS = { allowHttp: config.webhooks.allowHttp, allowedHosts: config.webhooks.allowedHosts };
+
+    const webhooks = createWebhookSender({
+        ...WEBHOOK_OPTIONS,
+        secretFor: keyId => auth.webhookSecret(keyId),
+        onChange: (jobId, webhook) => {
+            webhookAttempts.inc({ result: webhook.status });
+            updateJob(jobId, { webhook: webhook });
+        },
+        maxAttempts: config.webhooks.maxAttempts,
+        baseDelay: config.webhooks.retryDelayMs,
+        timeout: config.webhooks.timeoutMs
+    });
+
+    // Send the callback for a job that just reached a final status
+    function notifyCallback(job) {
+        if (job.callbackUrl && !job.webhook) {
+            job.webhook = webhooks.deliver(job);
+            jobs.set(job.id, job);
+        }
+    }
+
+    // Synthesis queue - limits how many jobs run Piper at the same time
+    const jobQueue = createJobQueue({
+        concurrency: config.limits.maxConcurrentJobs,
+        onChange: (queuedJobIds) => {
+            queuedJobIds.forEach((jobId, index) => {
+                const job = jobs.get(jobId);
+                if (job && job.queuePosition !== index + 1) {
+                    updateJob(jobId, { queuePosition: index + 1 });
+                }
+            });
+        }
+    });
+
+    // Jobs that were running when the server stopped will never finish - fail them so clients stop waiting
+    function recoverJobs() {
+        let interrupted = 0;
+        let expired = 0;
         
-        console.log('⬇️ Downloading Piper...');
-        await execAsync(`curl -L -o ${downloadPath} ${piperUrl}`);
+        // Taken before interrupted jobs fail, since failing them starts their callbacks
+        const resumeWebhooks = [...jobs.values()].filter(job => job.webhook && ['pending', 'retrying'].includes(job.webhook.status));
         
-        console.log('📦 Extracting Piper...');
-        await execAsync(`tar -xzf ${downloadPath} -C ${PIPER_DIR}`);
+        for (const [jobId, job] of jobs.entries()) {
+            if (!FINAL_STATUSES.includes(job.status)) {
+                updateJob(jobId, {
+                    status: 'failed',
+                    error: 'TTS failed: job was interrupted by a server restart',
+                    failedAt: new Date().toISOString()
+                });
+                interrupted++;
+            } else if (job.status === 'completed' && job.audioPath && !fs.existsSync(job.audioPath)) {
+                updateJob(jobId, {
+                    status: 'failed',
+                    error: 'Audio file is no longer available',
+                    audioUrl: null
+                });
+                expired++;
+            }
+        }
         
-        // Find piper executable
-        const { stdout } = await execAsync(`find ${PIPER_DIR} -name "piper" -type f`);
-        piperPath = stdout.trim();
+        // Callbacks that were still being retried carry on where they stopped
+        resumeWebhooks.forEach(job => webhooks.deliver(job));
         
-        if (!piperPath || !fs.existsSync(piperPath)) {
-            throw new Error('Piper executable not found after extraction');
-        }
+        logger.info('Job store restored', { store: jobs.type, interrupted: interrupted, expired: expired, webhooksResumed: resumeWebhooks.length });
+    }
+
+    recoverJobs();
+
+    // Logger for everything about one job, carrying the id of the request that created it
+    function jobLog(job) {
+        return logger.child({ jobId: job.id, requestId: job.requestId });
+    }
+
+    // Apply changes to a job and notify anyone listening for updates
+    function updateJob(jobId, changes) {
+        const job = jobs.get(jobId);
+        if (!job) return null;
         
-        // Make executable
-        await execAsync(`chmod +x ${piperPath}`);
+        const wasFinal = FINAL_STATUSES.includes(job.status);
         
-        console.log('✅ Piper installed at:', piperPath);
-        piperInstalled = true;
+        Object.assign(job, changes);
+        jobs.set(jobId, job);
+        jobEvents.emit(jobId, job);
         
-        return { success: true, message: 'Installed successfully', path: piperPath };
+        if (!wasFinal && FINAL_STATUSES.includes(job.status)) {
+            notifyCallback(job);
+        }
+        return job;
+    }
 
-    } catch (error) {
-        console.error('❌ Piper installation failed:', error.message);
-        return { success: false, error: error.message };
+    // Public address for audio and archive links; without one, the port we listen on locally
+    function getBaseUrl() {
+        if (config.publicUrl) {
+            return config.publicUrl;
+        }
+        return `http://localhost:${server && server.address() ? server.address().port : config.port}`;
     }
-}
 
-function checkPiperStatus() {
-    return {
-        installed: piperInstalled,
-        path: piperPath,
-        available: piperInstalled && piperPath && fs.existsSync(piperPath)
-    };
-}
+    // Piper CLI provisioning - from a release tarball (checked against piper.sha256, which the default download requires),
+    // or an existing executable
+    const piperInstaller = createPiperInstaller({
+        dir: PIPER_DIR,
+        version: config.piper.version,
+        source: config.piper.source || undefined,
+        sha256: config.piper.sha256,
+        requireChecksum: config.piper.requireChecksum,
+        executable: config.piper.executable
+    });
 
-// Health check
-app.get('/health', (req, res) => {
-    let modelInfo = { exists: false, files: [] };
-    
-    try {
-        if (fs.existsSync(MODELS_DIR)) {
-            modelInfo.exists = true;
-            modelInfo.files = fs.readdirSync(MODELS_DIR);
-        }
-    } catch (err) {
-        modelInfo.error = err.message;
+    function installPiper() {
+        return piperInstaller.install();
     }
-    
-    let audioInfo = { exists: false, files: [] };
-    try {
-        if (fs.existsSync(AUDIO_DIR)) {
-            audioInfo.exists = true;
-            audioInfo.files = fs.readdirSync(AUDIO_DIR);
+
+    function checkPiperStatus() {
+        return piperInstaller.status();
+    }
+
+    // Total size of the files below a directory
+    function directorySize(dir) {
+        let total = 0;
+        
+        try {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    total += directorySize(entryPath);
+                } else if (entry.isFile()) {
+                    total += fs.statSync(entryPath).size;
+                }
+            }
+        } catch (err) {
+            // Files come and go while jobs run; a missing entry just does not count
+            if (err.code !== 'ENOENT') throw err;
         }
-    } catch (err) {
-        audioInfo.error = err.message;
+        
+        return total;
     }
-    
-    res.json({ 
-        status: 'ok',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        base_url: getBaseUrl(),
-        models_directory: MODELS_DIR,
-        audio_directory: AUDIO_DIR,
-        piper_directory: PIPER_DIR,
-        models_info: modelInfo,
-        audio_info: audioInfo,
-        piper_status: checkPiperStatus()
+
+    // Prometheus metrics
+    app.get('/metrics', (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(metrics.render());
     });
-});
 
-// Install Piper endpoint
-app.post('/api/install-piper', async (req, res) => {
-    try {
-        const result = await installPiper();
-        res.json(result);
-    } catch (error) {
-        res.status(500).json({ 
-            success: false, 
-            error: error.message 
+    // Health check
+    app.get('/health', (req, res) => {
+        let modelInfo = { exists: false, files: [] };
+        
+        try {
+            if (fs.existsSync(MODELS_DIR)) {
+                modelInfo.exists = true;
+                modelInfo.files = fs.readdirSync(MODELS_DIR);
+            }
+        } catch (err) {
+            modelInfo.error = err.message;
+        }
+        
+        let audioInfo = { exists: false, files: [] };
+        try {
+            if (fs.existsSync(AUDIO_DIR)) {
+                audioInfo.exists = true;
+                audioInfo.files = fs.readdirSync(AUDIO_DIR);
+            }
+        } catch (err) {
+            audioInfo.error = err.message;
+        }
+        
+        res.json({ 
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            base_url: getBaseUrl(),
+            models_directory: MODELS_DIR,
+            audio_directory: AUDIO_DIR,
+            piper_directory: PIPER_DIR,
+            models_info: modelInfo,
+            audio_info: audioInfo,
+            piper_status: checkPiperStatus(),
+            queue: jobQueue.stats(),
+            piper_workers: piperPool.stats(),
+            audio_cache: audioCache.stats(),
+            webhooks_pending: webhooks.pending(),
+            providers: {
+                order: TTS_PROVIDERS,
+                registered: providers.list()
+            }
+        });
+    });
+
+    // Voice catalog
+    app.get('/api/models', (req, res) => {
+        try {
+            const voices = loadVoiceCatalog(MODELS_DIR);
+            res.json({
+                models: voices.map(({ path: _path, ...voice }) => voice),
+                default: voices.length > 0 ? voices[0].id : null,
+                count: voices.length
+            });
+        } catch (error) {
+            res.status(500).json({ error: `Could not read models: ${error.message}` });
+        }
+    });
+
+    // Install Piper endpoint
+    app.post('/api/install-piper', requireAdmin, async (req, res) => {
+        try {
+            const result = await installPiper();
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+    });
+
+    // Voice model management - uploads are validated with a trial synthesis before they go live.
+    // The catalog is read from disk on every request, so changes show up without a restart.
+    const MAX_MODEL_BYTES = config.limits.maxModelBytes;
+
+    const models = createModelManager({
+        modelsDir: MODELS_DIR,
+        ensurePiper: installPiper,
+        maxBytes: MAX_MODEL_BYTES
+    });
+
+    function sendModelError(res, error) {
+        res.status(error.status || 500).json({
+            error: error.message,
+            ...(error.stderr ? { stderr: error.stderr } : {})
         });
     }
-});
 
-// TTS endpoint using Piper CLI
-app.post('/api/tts', async (req, res) => {
-    const { text, voice = 'default' } = req.body;
-    
-    console.log('🎤 TTS Request:', text);
-    
-    if (!text) {
-        return res.status(400).json({ error: 'Text is required' });
+    // Workers and cached audio still belong to the old files once a voice is replaced or deleted
+    function forgetVoice(voiceId, modelPath) {
+        piperPool.stopModel(modelPath);
+        audioCache.list()
+            .filter(entry => entry.voice === voiceId)
+            .forEach(entry => audioCache.purge(entry.key));
     }
 
-    if (text.length > 1000) {
-        return res.status(400).json({ 
-            error: 'Text is too long. Maximum 1000 characters.',
-            length: text.length,
-            max: 1000
+    // Install the pair once both halves are staged, otherwise report what is still missing
+    async function finishModelUpload(req, res, status) {
+        if (status.missing.length > 0) {
+            return res.status(202).json({ message: 'Upload staged', ...status });
+        }
+
+        const result = await models.install(status.id);
+        if (result.replaced) {
+            forgetVoice(status.id, result.path);
+        }
+        req.log.info('Voice model installed', { voice: status.id, replaced: result.replaced });
+        res.status(result.replaced ? 200 : 201).json({
+            message: result.replaced ? 'Model replaced' : 'Model installed',
+            model: result.voice
         });
     }
-    
-    // Check Piper availability
-    const piperStatus = checkPiperStatus();
-    console.log('🔍 Piper Status:', piperStatus);
-    
-    // Auto-install Piper if needed
-    if (!piperStatus.available) {
-        console.log('📦 Auto-installing Piper CLI...');
-        const installResult = await installPiper();
-        console.log('📦 Install result:', installResult);
-        
-        if (!installResult.success) {
-            console.log('🌐 Falling back to Google TTS...');
-            return await fallbackToGoogleTTS(res, text);
+
+    app.get('/api/admin/models', (req, res) => {
+        try {
+            const voices = models.list();
+            res.json({
+                models: voices,
+                count: voices.length,
+                bytes: voices.reduce((total, voice) => total + (voice.model_file?.bytes || 0) + (voice.config_file?.bytes || 0), 0),
+                max_upload_bytes: MAX_MODEL_BYTES
+            });
+        } catch (error) {
+            res.status(500).json({ error: `Could not read models: ${error.message}` });
+        }
+    });
+
+    // Upload the .onnx file as the raw request body
+    app.put('/api/admin/models/:id/model', async (req, res) => {
+        try {
+            const status = await models.stageModel(req.params.id, req);
+            await finishModelUpload(req, res, status);
+        } catch (error) {
+            sendModelError(res, error);
+        }
+    });
+
+    // Upload the .onnx.json config as a JSON body
+    app.put('/api/admin/models/:id/config', async (req, res) => {
+        if (!req.is('application/json')) {
+            return res.status(415).json({ error: 'Send the config as application/json' });
+        }
+
+        try {
+            const status = models.stageConfig(req.params.id, req.body);
+            await finishModelUpload(req, res, status);
+        } catch (error) {
+            sendModelError(res, error);
+        }
+    });
+
+    app.delete('/api/admin/models/:id', (req, res) => {
+        try {
+            const removed = models.remove(req.params.id);
+            forgetVoice(removed.id, removed.path);
+            req.log.info('Voice model deleted', { voice: removed.id });
+            res.json({ message: 'Model deleted', id: removed.id });
+        } catch (error) {
+            sendModelError(res, error);
+        }
+    });
+
+    // Shared input validation for the TTS endpoints
+    function validateText(text) {
+        if (!text || typeof text !== 'string') {
+            return { error: 'Text is required' };
+        }
+
+        if (text.length > MAX_TEXT_LENGTH) {
+            return { 
+                error: `Text is too long. Maximum ${MAX_TEXT_LENGTH} characters.`,
+                length: text.length,
+                max: MAX_TEXT_LENGTH
+            };
         }
+
+        return null;
     }
-    
-    // Check models
-    let modelStatus = { available: false, models: [] };
-    try {
-        if (fs.existsSync(MODELS_DIR)) {
-            const files = fs.readdirSync(MODELS_DIR);
-            const onnxModels = files.filter(f => f.endsWith('.onnx'));
+
+    function validateCallbackUrl(callbackUrl) {
+        const error = checkCallbackUrl(callbackUrl, WEBHOOK_OPTIONS);
+        return error ? { error: error } : null;
+    }
+
+    // A callback is only useful if it can be signed for the caller
+    function checkCallbackSecret(job, apiKey) {
+        if (job.callbackUrl && !auth.webhookSecret(apiKey.id)) {
+            return { error: 'callbackUrl needs a webhook secret - set webhookSecret on the API key or the shared webhook secret' };
+        }
+        return null;
+    }
+
+    // Caption jobs are split into sentences before normalizing, so each cue can show the sentence
+    // as it was written ("kr 1 499,50") while the voice reads it spelled out
+    function captionSegments(segments, shouldNormalize) {
+        return segments.flatMap(segment => segment.type !== 'text' ? [segment] : splitIntoChunks(segment.text, CHUNK_LENGTH)
+            .flatMap(splitSentences)
+            .map(sentence => ({ type: 'text', text: shouldNormalize ? normalizeText(sentence) : sentence, displayText: sentence, rate: segment.rate }))
+            .filter(sentence => sentence.text.trim()));
+    }
+
+    // Validate a TTS request and turn it into a job record. Returns { job } or { error } with the 400 body.
+    // Cache hits come back as an already completed job.
+    function buildTTSJob(input) {
+        const { ssml, voice = 'default', priority = 'normal', cache = true, normalize = true, captions = false, callbackUrl, provider } = input;
+        
+        // SSML is an alternative to plain text - it becomes segments with their own rate and pauses
+        let segments = null;
+        if (ssml !== undefined && input.text === undefined) {
+            // The markup itself counts against the limit, not just the text it contains
+            if (typeof ssml === 'string' && ssml.length > MAX_TEXT_LENGTH) {
+                return {
+                    error: {
+                        error: `SSML is too long. Maximum ${MAX_TEXT_LENGTH} characters.`,
+                        length: ssml.length,
+                        max: MAX_TEXT_LENGTH
+                    }
+                };
+            }
+            
+            try {
+                segments = parseSsml(ssml);
+            } catch (error) {
+                return { error: { error: `Invalid SSML: ${error.message}` } };
+            }
+        }
+        
+        const text = segments ? segmentsToText(segments) : input.text;
+        
+        const textError = validateText(text);
+        if (textError) {
+            return { error: textError };
+        }
+        
+        // Spell out numbers, dates and abbreviations unless the caller opts out
+        const shouldNormalize = normalize !== false;
+        const spokenText = shouldNormalize ? normalizeText(text) : text;
+        const writtenSegments = segments || [{ type: 'text', text: text, rate: 1 }];
+        if (segments && shouldNormalize) {
+            segments = segments.map(segment => segment.type === 'text' ? { ...segment, text: normalizeText(segment.text) } : segment);
+        }
+        
+        if (!Object.hasOwn(PRIORITIES, priority)) {
+            return {
+                error: {
+                    error: `Unknown priority: ${priority}`,
+                    allowed: Object.keys(PRIORITIES)
+                }
+            };
+        }
+        
+        if (typeof captions !== 'boolean') {
+            return { error: { error: 'captions must be true or false' } };
+        }
+        
+        const callbackError = callbackUrl !== undefined ? validateCallbackUrl(callbackUrl) : null;
+        if (callbackError) {
+            return { error: callbackError };
+        }
+        
+        // A named provider is used on its own; otherwise the configured chain is tried in order
+        if (provider !== undefined && !providers.has(provider)) {
+            return {
+                error: {
+                    error: `Unknown provider: ${provider}`,
+                    available: providers.list().map(p => p.name)
+                }
+            };
+        }
+        const providerChain = provider !== undefined ? [provider] : TTS_PROVIDERS;
+        
+        // Check models
+        let voices = [];
+        try {
+            voices = loadVoiceCatalog(MODELS_DIR);
+        } catch (err) {
+            logger.error('Could not read models', { directory: MODELS_DIR, error: err });
+        }
+        
+        const modelStatus = {
+            available: voices.length > 0,
+            models: voices.map(v => v.file)
+        };
+        
+        // Without any models the voice is passed on as given - providers that need a model skip the job
+        const selectedVoice = resolveVoice(voices, voice);
+        if (!selectedVoice && modelStatus.available) {
+            return {
+                error: {
+                    error: `Unknown voice: ${voice}`,
+                    available: voices.map(v => v.id)
+                }
+            };
+        }
+        
+        const { options: synthesis, error: synthesisError } = validateSynthesisOptions(selectedVoice, input);
+        if (synthesisError) {
+            return { error: { error: synthesisError } };
+        }
+        
+        // Loudness, silence trimming, sample rate and channels - applied once the audio is ready
+        const { options: postProcessing, error: postProcessingError } = validatePostProcessing(input);
+        if (postProcessingError) {
+            return { error: { error: postProcessingError } };
+        }
+        
+        const jobId = 'tts_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        
+        // Serve repeated phrases straight from the audio cache when the first provider's output is cached
+        const useCache = cache !== false && selectedVoice && providers.get(providerChain[0]).cacheable;
+        const audioCacheKey = useCache ? cacheKey({ text: segments ? JSON.stringify(segments) : spokenText, voice: selectedVoice.id, params: postProcessing ? { ...synthesis, postProcessing: postProcessing } : synthesis }) : null;
+        // Cached audio has no timings, so caption jobs are always synthesized (and still cached)
+        const cached = audioCacheKey && !captions ? audioCache.lookup(audioCacheKey) : null;
+        
+        if (cached) {
+            const now = new Date().toISOString();
             
-            modelStatus = {
-                available: onnxModels.length > 0,
-                models: onnxModels,
-                total_files: files.length
+            return {
+                job: {
+                    id: jobId,
+                    text: text,
+                    spokenText: spokenText,
+                    voice: selectedVoice.id,
+                    synthesis: synthesis,
+                    postProcessing: postProcessing,
+                    status: 'completed',
+                    progress: 100,
+                    priority: priority,
+                    queuePosition: null,
+                    createdAt: now,
+                    completedAt: now,
+                    audioUrl: `${getBaseUrl()}/audio/cache/${cached.file}`,
+                    cacheFile: cached.file,
+                    duration: audioDuration(cached.path),
+                    requestedProvider: provider || null,
+                    providers: providerChain,
+                    provider: providerChain[0],
+                    cacheKey: audioCacheKey,
+                    cacheHit: true,
+                    modelUsed: selectedVoice.file,
+                    ttsProvider: 'Audio cache',
+                    callbackUrl: callbackUrl || null
+                }
             };
         }
-    } catch (err) {
-        console.log('❌ Model check error:', err.message);
+        
+        return {
+            job: {
+                id: jobId,
+                text: text,
+                spokenText: spokenText,
+                segments: captions ? captionSegments(writtenSegments, shouldNormalize) : segments,
+                voice: selectedVoice ? selectedVoice.id : voice,
+                synthesis: synthesis,
+                postProcessing: postProcessing,
+                status: 'queued',
+                progress: 0,
+                priority: priority,
+                queuePosition: null,
+                createdAt: new Date().toISOString(),
+                modelStatus: modelStatus,
+                requestedProvider: provider || null,
+                providers: providerChain,
+                providerAttempts: [],
+                captions: captions,
+                cacheKey: audioCacheKey,
+                cacheHit: false,
+                ttsProvider: null,
+                callbackUrl: callbackUrl || null
+            }
+        };
     }
-    
-    if (!modelStatus.available) {
-        console.log('🌐 No models found, falling back to Google TTS...');
-        return await fallbackToGoogleTTS(res, text);
+
+    // Store a job from buildTTSJob and queue it unless it was served from cache. Returns the queue position.
+    function submitTTSJob(job) {
+        jobs.set(job.id, job);
+        
+        const log = jobLog(job);
+        
+        if (job.status !== 'queued') {
+            log.info('Served from audio cache', { cacheKey: job.cacheKey, characters: job.spokenText.length });
+            recordJobOutcome(job, job.status);
+            notifyCallback(job);
+            return null;
+        }
+        
+        const jobId = job.id;
+        log.info('Job queued', { providers: job.providers, priority: job.priority, voice: job.voice, characters: job.spokenText.length });
+        return jobQueue.enqueue(jobId, async (signal) => {
+            updateJob(jobId, { queuePosition: 0, startedAt: new Date().toISOString() });
+            
+            try {
+                await runProviders(jobId, signal);
+            } catch (error) {
+                if (signal.aborted) return;
+                log.error('TTS failed', { error: error });
+                recordJobOutcome(updateJob(jobId, {
+                    status: 'failed',
+                    error: `TTS failed: ${error.message}`,
+                    failedAt: new Date().toISOString()
+                }), 'failed');
+            }
+        }, PRIORITIES[job.priority]);
     }
-    
-    const jobId = 'tts_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    
-    const job = {
-        id: jobId,
-        text: text,
-        voice: voice,
-        status: 'queued',
-        progress: 0,
-        createdAt: new Date().toISOString(),
-        modelStatus: modelStatus,
-        piperStatus: checkPiperStatus(),
-        ttsProvider: 'Piper CLI'
-    };
-    
-    jobs.set(jobId, job);
-    
-    // Start Piper TTS processing
-    console.log('🤖 Starting Piper CLI TTS...');
-    processPiperTTS(jobId, text, voice).catch(error => {
-        console.error(`❌ Piper failed:`, error);
-        fallbackJobToGoogle(jobId, text, voice);
-    });
-    
-    res.json({
-        message: 'TTS job created',
-        jobId: jobId,
-        status: job.status,
-        provider_decision: {
-            will_use_piper: true,
-            piper_available: piperStatus.available,
-            models_available: modelStatus.available
-        },
-        estimated_completion: '5-15 sekunder'
+
+    // TTS endpoint - queues a job for the provider chain
+    app.post('/api/tts', requireClient, auth.rateLimit(req => requestCharacters(req.body)), (req, res) => {
+        const { job, error } = buildTTSJob(req.body);
+        const rejected = error || checkCallbackSecret(job, req.apiKey);
+        if (rejected) {
+            req.log.warn('TTS request rejected', { error: rejected.error });
+            return res.status(400).json(rejected);
+        }
+        
+        job.apiKey = req.apiKey.id;
+        job.requestId = req.id;
+        const queuePosition = submitTTSJob(job);
+        
+        res.json({
+            message: 'TTS job created',
+            jobId: job.id,
+            status: job.status,
+            providers: job.providers,
+            cacheHit: job.cacheHit,
+            queuePosition: queuePosition,
+            estimated_completion: job.cacheHit ? '0 sekunder' : '5-15 sekunder'
+        });
     });
-});
 
-// Piper CLI TTS processing
-async function processPiperTTS(jobId, text, voice) {
-    const job = jobs.get(jobId);
-    if (!job) return;
-    
-    try {
-        console.log(`🤖 [${jobId}] Starting Piper CLI TTS`);
+    // Streaming TTS endpoint - pipes Piper's raw PCM output straight to the client.
+    // GET takes the same fields as query parameters so it can be used directly as an <audio> src.
+    // Query parameters arrive as strings, so turn the numeric synthesis controls into numbers
+    function parseStreamOptions(input) {
+        const parsed = { ...input };
+        ['lengthScale', 'noiseScale', 'noiseW', 'sentenceSilence', 'speakerId'].forEach(name => {
+            if (typeof parsed[name] === 'string' && parsed[name] !== '') {
+                parsed[name] = Number(parsed[name]);
+            }
+        });
+        return parsed;
+    }
+
+    async function handleTTSStream(req, res) {
+        const requestStart = Date.now();
+        const input = req.method === 'GET' ? req.query : req.body;
+        const { text, voice = 'default', format = 'wav', normalize = true } = input;
         
-        job.status = 'processing';
-        job.progress = 10;
+        const textError = validateText(text);
+        if (textError) {
+            return res.status(400).json(textError);
+        }
+        
+        const spokenText = normalize !== false && normalize !== 'false' ? normalizeText(text) : text;
         
-        if (!piperPath || !fs.existsSync(piperPath)) {
-            throw new Error('Piper CLI not available');
+        if (format !== 'wav' && format !== 'pcm') {
+            return res.status(400).json({ error: 'Format must be "wav" or "pcm"' });
         }
         
-        job.progress = 20;
-        job.status = 'loading_model';
+        // Trimming and loudness need the whole clip, so they only work for jobs
+        const postProcessingFields = POST_PROCESSING_FIELDS.filter(name => input[name] !== undefined);
+        if (postProcessingFields.length > 0) {
+            return res.status(400).json({ error: `${postProcessingFields.join(', ')} cannot be used when streaming - create a job with POST /api/tts instead` });
+        }
         
-        // Find model file
-        const files = fs.readdirSync(MODELS_DIR);
-        const onnxFile = files.find(f => f.endsWith('.onnx'));
+        const voices = loadVoiceCatalog(MODELS_DIR);
+        if (voices.length === 0) {
+            return res.status(503).json({ error: 'No Piper models available for streaming' });
+        }
+        
+        const selectedVoice = resolveVoice(voices, voice);
+        if (!selectedVoice) {
+            return res.status(400).json({
+                error: `Unknown voice: ${voice}`,
+                available: voices.map(v => v.id)
+            });
+        }
         
-        if (!onnxFile) {
-            throw new Error('No .onnx model file found');
+        const { options: synthesis, error: synthesisError } = validateSynthesisOptions(selectedVoice, parseStreamOptions(input));
+        if (synthesisError) {
+            return res.status(400).json({ error: synthesisError });
         }
         
-        const modelPath = path.join(MODELS_DIR, onnxFile);
-        console.log(`📂 [${jobId}] Using model: ${modelPath}`);
+        if (!checkPiperStatus().available) {
+            const installResult = await installPiper();
+            if (!installResult.success) {
+                return res.status(503).json({ error: `Piper CLI not available: ${installResult.error}` });
+            }
+        }
         
-        job.progress = 40;
-        job.status = 'generating_audio';
+        // Streams cannot wait in line - the client is holding the connection open
+        if (activeStreams >= config.limits.maxConcurrentStreams) {
+            req.log.warn('Too many streams', { active: activeStreams, max: config.limits.maxConcurrentStreams });
+            res.set('Retry-After', '5');
+            return res.status(503).json({
+                error: 'Too many streams at the same time - try again shortly, or create a job with POST /api/tts',
+                retryAfter: 5
+            });
+        }
         
-        // Generate output file
-        const audioFilename = `${jobId}_piper.wav`;
-        const audioPath = path.join(AUDIO_DIR, audioFilename);
+        const streamId = 'stream_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        const sampleRate = selectedVoice.sample_rate || 22050;
+        const audioFormat = { audioFormat: 1, channels: 1, sampleRate: sampleRate, bitsPerSample: 16 };
         
-        console.log(`🗣️ [${jobId}] Running Piper CLI...`);
-        console.log(`📝 [${jobId}] Text: "${text}"`);
+        const log = req.log.child({ streamId: streamId });
+        log.info('Streaming', { characters: text.length, voice: selectedVoice.id });
         
-        // Run Piper CLI
-        const piperProcess = spawn(piperPath, [
-            '--model', modelPath,
-            '--output-file', audioPath
+        const piperProcess = spawn(piperInstaller.path(), [
+            '--model', selectedVoice.path,
+            '--output-raw',
+            ...synthesisArgs(synthesis),
+            ...(synthesis.speakerId !== undefined ? ['--speaker', String(synthesis.speakerId)] : [])
         ], {
             stdio: ['pipe', 'pipe', 'pipe']
         });
         
-        // Send text to stdin
-        piperProcess.stdin.write(text);
-        piperProcess.stdin.end();
-        
-        let stdout = '';
         let stderr = '';
+        let finished = false;
+        let firstAudioAt = null;
         
-        piperProcess.stdout.on('data', (data) => {
-            stdout += data.toString();
+        activeStreams++;
+        const release = () => {
+            if (!finished) activeStreams--;
+            finished = true;
+        };
+        
+        piperProcess.stdout.once('data', () => {
+            firstAudioAt = Date.now();
+            timeToFirstAudio.observe({ mode: 'stream' }, (firstAudioAt - requestStart) / 1000);
         });
         
         piperProcess.stderr.on('data', (data) => {
             stderr += data.toString();
         });
         
-        // Wait for process to complete
-        await new Promise((resolve, reject) => {
-            piperProcess.on('close', (code) => {
-                if (code === 0) {
-                    resolve();
-                } else {
-                    reject(new Error(`Piper process exited with code ${code}. stderr: ${stderr}`));
-                }
-            });
-            
-            piperProcess.on('error', reject);
+        // Kill Piper if the client goes away before we are done
+        res.on('close', () => {
+            if (!finished) {
+                log.info('Client disconnected, killing Piper');
+                piperProcess.kill('SIGKILL');
+            }
+        });
+        
+        piperProcess.on('error', (error) => {
+            release();
+            log.error('Piper failed to start', { error: error });
+            if (!res.headersSent) {
+                res.status(500).json({ error: `Piper failed: ${error.message}` });
+            } else {
+                res.destroy(error);
+            }
+        });
+        
+        piperProcess.on('close', (code) => {
+            release();
+            if (code === 0) {
+                log.info('Stream completed', { durationMs: Date.now() - requestStart });
+                charactersSynthesized.inc({ provider: 'piper' }, spokenText.length);
+                synthesisDuration.observe({ provider: 'piper', mode: 'stream' }, (Date.now() - requestStart) / 1000);
+                res.end();
+            } else if (code !== null) {
+                log.error('Piper exited with an error', { code: code, stderr: parsePiperStderr(stderr) });
+                res.destroy(new Error(`Piper exited with code ${code}`));
+            }
         });
         
-        job.progress = 90;
-        job.status = 'finalizing';
+        res.status(200);
+        res.setHeader('Content-Type', format === 'wav' ? 'audio/wav' : `audio/L16;rate=${sampleRate};channels=1`);
+        res.setHeader('X-Sample-Rate', String(sampleRate));
+        res.setHeader('X-Voice', selectedVoice.id);
+        res.setHeader('Cache-Control', 'no-store');
+        
+        // The final length is unknown while streaming, so announce the largest possible data chunk
+        if (format === 'wav') {
+            res.write(createWavHeader(audioFormat, 0xFFFFFFFF - 36));
+        }
         
-        // Check if file was created
-        if (!fs.existsSync(audioPath)) {
-            throw new Error('Piper did not create output file');
+        piperProcess.stdout.pipe(res, { end: false });
+        
+        // One sentence per line, so Piper emits audio for each sentence as soon as it is ready
+        const sentences = splitIntoChunks(spokenText, CHUNK_LENGTH).flatMap(splitSentences);
+        piperProcess.stdin.on('error', () => {});
+        piperProcess.stdin.write(sentences.join('\n') + '\n');
+        piperProcess.stdin.end();
+    }
+
+    const streamRateLimit = auth.rateLimit(req => requestCharacters(req.method === 'GET' ? req.query : req.body));
+
+    app.post('/api/tts/stream', requireClient, streamRateLimit, handleTTSStream);
+    app.get('/api/tts/stream', requireClient, streamRateLimit, handleTTSStream);
+
+    // Try each provider in the job's chain until one of them produces audio
+    async function runProviders(jobId, signal) {
+        const chain = providers.resolve(jobs.get(jobId).providers);
+        const attempts = [];
+        
+        for (const [index, provider] of chain.entries()) {
+            signal.throwIfAborted();
+            const job = jobs.get(jobId);
+            const log = jobLog(job).child({ provider: provider.name });
+            
+            const { available, reason } = await provider.check(job);
+            if (!available) {
+                log.info('Skipping provider', { reason: reason });
+                attempts.push({ provider: provider.name, skipped: reason });
+                updateJob(jobId, { providerAttempts: attempts });
+                continue;
+            }
+            
+            const audioPath = path.join(AUDIO_DIR, `${jobId}_${provider.name}${provider.extension}`);
+            const label = index > 0 ? `${provider.label} (fallback)` : provider.label;
+            
+            log.info('Starting provider', { fallback: index > 0 });
+            updateJob(jobId, { status: 'processing', progress: 5, ttsProvider: label });
+            
+            try {
+                const result = await provider.synthesize(job, {
+                    outputPath: audioPath,
+                    signal: signal,
+                    update: changes => updateJob(jobId, changes),
+                    log: log
+                });
+                signal.throwIfAborted();
+                
+                const processed = job.postProcessing
+                    ? await postProcessAudio(job, audioPath, result.cues, signal, log)
+                    : { audioPath: audioPath, changes: {} };
+                
+                attempts.push({ provider: provider.name, success: true });
+                completeJob(jobId, provider, processed.audioPath, { ...result, ...processed.changes, provider: provider.name, providerAttempts: attempts });
+                return;
+            } catch (error) {
+                if (fs.existsSync(audioPath)) fs.unlinkSync(audioPath);
+                // Another provider's audio would not get through post-processing either
+                if (signal.aborted || error.postProcessing) throw error;
+                
+                log.error('Provider failed', { error: error });
+                attempts.push({ provider: provider.name, error: error.message });
+                updateJob(jobId, { providerAttempts: attempts });
+            }
         }
         
-        const stats = fs.statSync(audioPath);
-        console.log(`💾 [${jobId}] Audio file created: ${stats.size} bytes`);
+        const summary = attempts.map(a => `${a.provider}: ${a.skipped || a.error}`).join('; ');
+        recordJobOutcome(updateJob(jobId, {
+            status: 'failed',
+            error: `TTS failed: ${summary || 'no providers configured'}`,
+            failedAt: new Date().toISOString()
+        }), 'failed');
+    }
+
+    // The caller asked for processed audio, so when post-processing fails (no ffmpeg, say) the job
+    // fails rather than completing with audio it did not ask for. ffmpeg reads any provider
+    // output, so the job's audio becomes a WAV file.
+    async function postProcessAudio(job, audioPath, cues, signal, log) {
+        const wavPath = audioPath.replace(/\.[^.]+$/, '.wav');
+        const tempPath = audioPath.replace(/\.[^.]+$/, '.processing.wav');
         
-        if (stats.size === 0) {
-            throw new Error('Piper created empty audio file');
+        try {
+            const { report, trimmedStart } = await processAudio(audioPath, tempPath, job.postProcessing, {
+                ffmpegPath: config.audio.ffmpegPath,
+                signal: signal
+            });
+            fs.renameSync(tempPath, wavPath);
+            if (wavPath !== audioPath) {
+                fs.rmSync(audioPath, { force: true });
+            }
+            
+            log.info('Audio post-processed', report);
+            return {
+                audioPath: wavPath,
+                changes: {
+                    postProcessingResult: report,
+                    ...(cues ? { cues: shiftCues(cues, trimmedStart, report.output.seconds) } : {})
+                }
+            };
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            if (signal.aborted) throw error;
+            
+            throw Object.assign(new Error(`Audio post-processing failed: ${error.message}`), { postProcessing: true });
         }
+    }
+    
+    function completeJob(jobId, provider, audioPath, { cues, ...changes }) {
+        const audioUrl = `${getBaseUrl()}/audio/${path.basename(audioPath)}`;
+        const captions = jobs.get(jobId).captions ? writeCaptions(jobId, provider, cues) : {};
         
-        const baseUrl = getBaseUrl();
-        const audioUrl = `${baseUrl}/audio/${audioFilename}`;
+        const job = updateJob(jobId, {
+            status: 'completed',
+            progress: 100,
+            audioUrl: audioUrl,
+            audioPath: audioPath,
+            completedAt: new Date().toISOString(),
+            duration: audioDuration(audioPath),
+            ...changes,
+            ...captions
+        });
         
-        job.status = 'completed';
-        job.progress = 100;
-        job.audioUrl = audioUrl;
-        job.audioPath = audioPath;
-        job.completedAt = new Date().toISOString();
-        job.modelUsed = onnxFile;
-        job.ttsProvider = 'Piper CLI (success)';
+        const log = jobLog(job);
+        log.info('Job completed', { provider: provider.name, audioUrl: audioUrl, duration: job.duration, captions: Boolean(job.captionsUrl) });
+        recordJobOutcome(job, 'completed');
         
-        console.log(`🎉 [${jobId}] Piper CLI TTS completed successfully: ${audioUrl}`);
+        // Only cacheable providers are stored, so a fallback never sticks to a voice
+        if (provider.cacheable && job.cacheKey) {
+            try {
+                audioCache.store(job.cacheKey, audioPath, { voice: job.voice, characters: job.spokenText.length });
+            } catch (err) {
+                log.error('Could not cache audio', { error: err });
+            }
+        }
+        
+        // Batch items stay until the batch is cleaned up, so its archive can still include them
+        if (job.batchId) return;
         
-        // Cleanup after 5 minutes
-        setTimeout(() => {
+        // Audio is only kept for a while
+        later(() => {
             try {
                 if (fs.existsSync(audioPath)) {
                     fs.unlinkSync(audioPath);
-                    console.log(`🗑️ [${jobId}] Cleaned up`);
+                    log.debug('Cleaned up audio');
                 }
+                removeCaptions(jobId);
                 jobs.delete(jobId);
             } catch (err) {
-                console.error(`❌ [${jobId}] Cleanup error:`, err.message);
+                log.error('Cleanup failed', { error: err });
             }
-        }, 5 * 60 * 1000);
+        }, config.cleanup.audioTtlMs);
+    }
+
+    // Caption files live next to the audio and are named after the job
+    function captionPaths(jobId) {
+        return {
+            vtt: path.join(AUDIO_DIR, `${jobId}.vtt`),
+            srt: path.join(AUDIO_DIR, `${jobId}.srt`)
+        };
+    }
+
+    // Write WebVTT and SRT captions for a finished job; providers without timings get none
+    function writeCaptions(jobId, provider, cues) {
+        if (!cues || cues.length === 0) {
+            return {
+                captionsUrl: null,
+                captionsSrtUrl: null,
+                captionsError: `${provider.label} does not report segment timings`
+            };
+        }
         
-    } catch (error) {
-        console.error(`❌ [${jobId}] Piper CLI TTS failed:`, error);
-        throw error;
+        const paths = captionPaths(jobId);
+        fs.writeFileSync(paths.vtt, toWebVtt(cues));
+        fs.writeFileSync(paths.srt, toSrt(cues));
+        
+        return {
+            captionsUrl: `${getBaseUrl()}/audio/${path.basename(paths.vtt)}`,
+            captionsSrtUrl: `${getBaseUrl()}/audio/${path.basename(paths.srt)}`,
+            captionCount: cues.length
+        };
     }
-}
 
-// Fallback to Google TTS for individual job
-async function fallbackJobToGoogle(jobId, text, voice) {
-    const job = jobs.get(jobId);
-    if (!job) return;
-    
-    try {
-        console.log(`🌐 [${jobId}] Google TTS fallback`);
+    function removeCaptions(jobId) {
+        Object.values(captionPaths(jobId)).forEach(filePath => fs.rmSync(filePath, { force: true }));
+    }
+
+    // Job outcome metrics. Failed jobs are put on the last provider that actually tried.
+    function recordJobOutcome(job, outcome) {
+        const tried = (job.providerAttempts || []).filter(attempt => !attempt.skipped);
+        const provider = job.cacheHit ? 'cache' : job.provider || (tried.length > 0 ? tried[tried.length - 1].provider : 'none');
+        const fallback = !job.cacheHit && Boolean(job.providers) && job.providers.indexOf(provider) > 0;
+        
+        jobOutcomes.inc({ provider: provider, outcome: outcome, fallback: String(fallback) });
+        
+        if (outcome !== 'completed') return;
+        
+        const completedAt = Date.parse(job.completedAt);
+        timeToFirstAudio.observe({ mode: 'job' }, (completedAt - Date.parse(job.createdAt)) / 1000);
         
-        job.status = 'generating_audio';
-        job.progress = 60;
-        job.ttsProvider = 'Google TTS (fallback)';
+        if (!job.cacheHit) {
+            charactersSynthesized.inc({ provider: provider }, job.spokenText.length);
+            synthesisDuration.observe({ provider: provider, mode: 'job' }, (completedAt - Date.parse(job.startedAt)) / 1000);
+        }
+    }
+
+    // Seconds of audio in a finished file, when the format lets us tell without decoding
+    function audioDuration(filePath) {
+        if (path.extname(filePath) !== '.wav') return null;
         
-        const audioFilename = `${jobId}_google.mp3`;
-        const audioPath = path.join(AUDIO_DIR, audioFilename);
+        try {
+            return Math.round(wavDuration(fs.readFileSync(filePath)) * 1000) / 1000;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Where a completed job's audio lives - cache hits point into the audio cache
+    function jobAudioPath(job) {
+        return job.cacheFile ? path.join(AUDIO_CACHE_DIR, job.cacheFile) : job.audioPath;
+    }
+
+    // Batch synthesis - one job per item, all through the normal pipeline.
+    // Takes an array of { id, text, voice, ... } items, or { items, ...options shared by every item }.
+    app.post('/api/tts/batch', requireClient, auth.rateLimit(req => requestCharacters(req.body)), (req, res) => {
+        const { items, ...shared } = Array.isArray(req.body) ? { items: req.body } : req.body;
+        
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'items must be a non-empty array' });
+        }
+        
+        if (items.length > MAX_BATCH_ITEMS) {
+            return res.status(400).json({
+                error: `Too many items. Maximum ${MAX_BATCH_ITEMS} per batch.`,
+                count: items.length,
+                max: MAX_BATCH_ITEMS
+            });
+        }
         
-        const ttsUrl = `https://translate.google.com/translate_tts?ie=UTF-8&tl=no&client=tw-ob&q=${encodeURIComponent(text)}`;
+        // Validate every item before queueing anything, so a bad item does not leave half a batch behind
+        const seen = new Set();
+        const built = [];
+        const errors = [];
         
-        const response = await fetch(ttsUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        items.forEach((item, index) => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                errors.push({ index: index, error: 'Item must be an object' });
+                return;
             }
+            
+            const id = item.id !== undefined ? String(item.id) : String(index + 1);
+            if (seen.has(id)) {
+                errors.push({ index: index, id: id, error: `Duplicate item id: ${id}` });
+                return;
+            }
+            seen.add(id);
+            
+            // Batch items default to low priority so interactive requests are not stuck behind them
+            const { job, error } = buildTTSJob({ priority: 'low', ...shared, ...item });
+            const rejected = error || checkCallbackSecret(job, req.apiKey);
+            if (rejected) {
+                errors.push({ index: index, id: id, ...rejected });
+                return;
+            }
+            
+            built.push({ id, job });
         });
         
-        if (!response.ok) {
-            throw new Error(`Google TTS error: ${response.status}`);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid batch items', items: errors });
         }
         
-        const audioBuffer = await response.arrayBuffer();
-        fs.writeFileSync(audioPath, Buffer.from(audioBuffer));
+        const batchId = 'batch_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
         
-        const baseUrl = getBaseUrl();
-        const audioUrl = `${baseUrl}/audio/${audioFilename}`;
+        built.forEach(({ id, job }) => {
+            job.batchId = batchId;
+            job.batchItemId = id;
+            job.apiKey = req.apiKey.id;
+            job.requestId = req.id;
+            submitTTSJob(job);
+        });
         
-        job.status = 'completed';
-        job.progress = 100;
-        job.audioUrl = audioUrl;
-        job.audioPath = audioPath;
-        job.completedAt = new Date().toISOString();
+        batches.set(batchId, {
+            id: batchId,
+            createdAt: new Date().toISOString(),
+            apiKey: req.apiKey.id,
+            items: built.map(({ id, job }) => ({ id: id, jobId: job.id }))
+        });
         
-        console.log(`✅ [${jobId}] Google TTS completed: ${audioUrl}`);
+        req.log.info('Batch created', { batchId: batchId, items: built.length });
         
-        // Cleanup
-        setTimeout(() => {
-            try {
-                if (fs.existsSync(audioPath)) fs.unlinkSync(audioPath);
-                jobs.delete(jobId);
-            } catch (err) {
-                console.error(`❌ [${jobId}] Cleanup error:`, err.message);
+        res.json({
+            message: 'TTS batch created',
+            batchId: batchId,
+            ...batchStatus(batches.get(batchId))
+        });
+    });
+
+    // Roll the item jobs up into one status
+    function batchStatus(batch) {
+        const items = batch.items.map(item => {
+            const job = jobs.get(item.jobId);
+            if (!job) {
+                return { id: item.id, jobId: item.jobId, status: 'expired' };
             }
-        }, 5 * 60 * 1000);
+            
+            return {
+                id: item.id,
+                jobId: item.jobId,
+                status: job.status,
+                progress: job.progress,
+                audioUrl: job.audioUrl || null,
+                duration: job.duration ?? null,
+                ...(job.error ? { error: job.error } : {})
+            };
+        });
         
-    } catch (error) {
-        console.error(`❌ [${jobId}] Google TTS failed:`, error);
-        job.status = 'failed';
-        job.error = `TTS failed: ${error.message}`;
+        const counts = {};
+        items.forEach(item => {
+            counts[item.status] = (counts[item.status] || 0) + 1;
+        });
+        
+        const finished = items.filter(item => item.status === 'expired' || FINAL_STATUSES.includes(item.status)).length;
+        let status = 'processing';
+        if (counts.queued === items.length) {
+            status = 'queued';
+        } else if (finished === items.length) {
+            status = counts.completed === items.length ? 'completed' : 'partial';
+        }
+        
+        return {
+            id: batch.id,
+            status: status,
+            createdAt: batch.createdAt,
+            total: items.length,
+            counts: counts,
+            progress: Math.round(items.reduce((sum, item) => sum + (item.status === 'expired' ? 100 : item.progress || 0), 0) / items.length),
+            archiveUrl: `${getBaseUrl()}/api/batch/${batch.id}/archive`,
+            items: items
+        };
     }
-}
 
-// Direct Google TTS fallback for immediate response
-async function fallbackToGoogleTTS(res, text) {
-    try {
-        const audioFilename = `google_${Date.now()}.mp3`;
-        const audioPath = path.join(AUDIO_DIR, audioFilename);
+    // Batch status
+    app.get('/api/batch/:batchId', requireClient, (req, res) => {
+        const batch = batches.get(req.params.batchId);
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        if (!belongsToCaller(batch, req.apiKey)) {
+            return res.status(403).json({ error: 'Batch belongs to another API key' });
+        }
+        res.json(batchStatus(batch));
+    });
+
+    // Safe, unique file name inside the archive for an item id
+    function archiveName(id, extension, used) {
+        const base = id.replace(/[^\w.-]+/g, '_').replace(/^\.+/, '_') || 'item';
+        let name = `${base}${extension}`;
+        for (let n = 2; used.has(name); n++) {
+            name = `${base}_${n}${extension}`;
+        }
+        used.add(name);
+        return name;
+    }
+
+    // ZIP of every finished item plus manifest.json mapping item ids to file names and durations.
+    // Items that are not done yet are listed in the manifest without a file.
+    app.get('/api/batch/:batchId/archive', requireClient, async (req, res) => {
+        const batch = batches.get(req.params.batchId);
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        if (!belongsToCaller(batch, req.apiKey)) {
+            return res.status(403).json({ error: 'Batch belongs to another API key' });
+        }
         
-        const ttsUrl = `https://translate.google.com/translate_tts?ie=UTF-8&tl=no&client=tw-ob&q=${encodeURIComponent(text)}`;
+        const status = batchStatus(batch);
+        const manifest = {
+            batchId: batch.id,
+            status: status.status,
+            createdAt: batch.createdAt,
+            items: {}
+        };
         
-        const response = await fetch(ttsUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        res.status(200);
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${batch.id}.zip"`);
+        res.setHeader('Cache-Control', 'no-store');
+        
+        const zip = createZipWriter(res);
+        const used = new Set(['manifest.json']);
+        
+        try {
+            for (const item of status.items) {
+                const job = jobs.get(item.jobId);
+                const audioPath = job && job.status === 'completed' ? jobAudioPath(job) : null;
+                
+                if (!audioPath || !fs.existsSync(audioPath)) {
+                    manifest.items[item.id] = {
+                        filename: null,
+                        duration: null,
+                        status: item.status === 'completed' ? 'expired' : item.status,
+                        ...(item.error ? { error: item.error } : {})
+                    };
+                    continue;
+                }
+                
+                const filename = archiveName(item.id, path.extname(audioPath), used);
+                await zip.addFile(filename, await fs.promises.readFile(audioPath), { modifiedAt: new Date(job.completedAt) });
+                manifest.items[item.id] = { filename: filename, duration: job.duration ?? null, status: 'completed' };
+                
+                // Captions go next to the audio under the same name
+                if (job.captionsUrl) {
+                    const captions = {};
+                    for (const [format, captionPath] of Object.entries(captionPaths(job.id))) {
+                        if (!fs.existsSync(captionPath)) continue;
+                        captions[format] = `${path.basename(filename, path.extname(filename))}.${format}`;
+                        used.add(captions[format]);
+                        await zip.addFile(captions[format], await fs.promises.readFile(captionPath), { modifiedAt: new Date(job.completedAt) });
+                    }
+                    manifest.items[item.id].captions = captions;
+                }
             }
+            
+            await zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+            await zip.finish();
+            
+            req.log.info('Batch archive sent', { batchId: batch.id });
+        } catch (error) {
+            req.log.error('Batch archive failed', { batchId: batch.id, error: error });
+            res.destroy(error);
+        }
+    });
+
+    // Job status
+    app.get('/api/job/:jobId', requireClient, (req, res) => {
+        const job = jobs.get(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!belongsToCaller(job, req.apiKey)) {
+            return res.status(403).json({ error: 'Job belongs to another API key' });
+        }
+        res.json(job);
+    });
+
+    // Usage and limits for the calling key
+    app.get('/api/usage', requireClient, (req, res) => {
+        res.json(auth.usage(req.apiKey));
+    });
+
+    // Usage for every key
+    app.get('/api/admin/usage', (req, res) => {
+        res.json({
+            anonymous_allowed: ALLOW_ANONYMOUS,
+            keys: auth.allUsage()
+        });
+    });
+
+    // Audio cache admin - inspect entries and usage
+    app.get('/api/admin/cache', (req, res) => {
+        res.json({
+            ...audioCache.stats(),
+            items: audioCache.list()
         });
+    });
+
+    // Audio cache admin - purge everything, or a single entry by key
+    app.delete('/api/admin/cache/:key?', (req, res) => {
+        const removed = audioCache.purge(req.params.key);
         
-        if (!response.ok) {
-            throw new Error(`Google TTS error: ${response.status}`);
+        if (req.params.key && removed === 0) {
+            return res.status(404).json({ error: 'Cache entry not found' });
         }
         
-        const audioBuffer = await response.arrayBuffer();
-        fs.writeFileSync(audioPath, Buffer.from(audioBuffer));
+        req.log.info('Purged cached audio', { removed: removed });
+        res.json({ removed: removed, ...audioCache.stats() });
+    });
+
+    // Cancel a queued or running job
+    app.delete('/api/job/:jobId', requireClient, (req, res) => {
+        const jobId = req.params.jobId;
+        const job = jobs.get(jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
         
-        const baseUrl = getBaseUrl();
-        const audioUrl = `${baseUrl}/audio/${audioFilename}`;
+        if (!belongsToCaller(job, req.apiKey)) {
+            return res.status(403).json({ error: 'Job belongs to another API key' });
+        }
         
-        return res.json({
-            message: 'TTS completed (Google fallback)',
-            audioUrl: audioUrl,
-            ttsProvider: 'Google TTS (fallback)',
-            status: 'completed'
-        });
+        if (FINAL_STATUSES.includes(job.status)) {
+            return res.status(409).json({ error: `Job is already ${job.status}`, status: job.status });
+        }
         
-    } catch (error) {
-        return res.status(500).json({ 
-            error: `TTS failed: ${error.message}` 
+        const cancelled = jobQueue.cancel(jobId);
+        jobLog(job).info('Job cancelled', { cancelled: cancelled || 'not in queue', cancelRequestId: req.id });
+        
+        const cancelledJob = updateJob(jobId, {
+            status: 'cancelled',
+            queuePosition: null,
+            cancelledAt: new Date().toISOString()
         });
-    }
-}
+        recordJobOutcome(cancelledJob, 'cancelled');
+        res.json(cancelledJob);
+    });
 
-// Job status
-app.get('/api/job/:jobId', (req, res) => {
-    const job = jobs.get(req.params.jobId);
-    if (!job) {
-        return res.status(404).json({ error: 'Job not found' });
-    }
-    res.json(job);
-});
+    // Job status as a Server-Sent Events stream
+    app.get('/api/job/:jobId/events', requireClient, (req, res) => {
+        const jobId = req.params.jobId;
+        const job = jobs.get(jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!belongsToCaller(job, req.apiKey)) {
+            return res.status(403).json({ error: 'Job belongs to another API key' });
+        }
+        
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        
+        const send = (current) => {
+            res.write(`event: status\ndata: ${JSON.stringify(current)}\n\n`);
+            if (FINAL_STATUSES.includes(current.status)) {
+                res.end();
+            }
+        };
+        
+        // Keep proxies from closing an idle connection
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+        
+        const cleanup = () => {
+            clearInterval(heartbeat);
+            jobEvents.removeListener(jobId, send);
+        };
+        
+        jobEvents.on(jobId, send);
+        res.on('close', cleanup);
+        res.on('finish', cleanup);
+        
+        // Send the current state right away so late subscribers are not left waiting
+        send(job);
+    });
 
-// Clean up old jobs every hour
-setInterval(() => {
-    const oneHourAgo = Date.now() - 60 * 60 * 1000;
-    
-    for (const [jobId, job] of jobs.entries()) {
-        if (new Date(job.createdAt).getTime() < oneHourAgo) {
-            if (job.audioPath && fs.existsSync(job.audioPath)) {
-                try {
-                    fs.unlinkSync(job.audioPath);
-                    console.log(`🗑️ Cleaned up old audio file: ${job.audioPath}`);
-                } catch (err) {
-                    console.error(`❌ Could not delete old audio file:`, err.message);
+    // Clean up old jobs and their audio files
+    function cleanupOldJobs() {
+        const cutoff = Date.now() - config.cleanup.jobTtlMs;
+        
+        for (const [jobId, job] of jobs.entries()) {
+            if (new Date(job.createdAt).getTime() < cutoff) {
+                if (job.audioPath && fs.existsSync(job.audioPath)) {
+                    try {
+                        fs.unlinkSync(job.audioPath);
+                        logger.debug('Cleaned up old audio file', { jobId: jobId, path: job.audioPath });
+                    } catch (err) {
+                        logger.error('Could not delete old audio file', { jobId: jobId, path: job.audioPath, error: err });
+                    }
                 }
+                removeCaptions(jobId);
+                jobs.delete(jobId);
+                logger.debug('Cleaned up old job', { jobId: jobId });
             }
-            jobs.delete(jobId);
-            console.log(`🧹 Cleaned up old job: ${jobId}`);
         }
+        
+        for (const [batchId, batch] of batches.entries()) {
+            if (new Date(batch.createdAt).getTime() < cutoff) {
+                batches.delete(batchId);
+                logger.debug('Cleaned up old batch', { batchId: batchId });
+            }
+        }
+        
+        models.cleanupStaging(60 * 60 * 1000);
     }
-}, 60 * 60 * 1000);
 
-// Start server
-app.listen(PORT, async () => {
-    console.log(`🚀 Railway Piper CLI Backend running on port ${PORT}`);
-    console.log(`🔗 Health: ${getBaseUrl()}/health`);
-    console.log(`📦 Install Piper: POST ${getBaseUrl()}/api/install-piper`);
+    // Anything left over from before a restart
+    cleanupOldJobs();
+
+    // Malformed or oversized JSON bodies get a JSON error instead of Express's HTML page
+    app.use((err, req, res, next) => {
+        if (err.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: `Invalid JSON body: ${err.message}` });
+        }
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json({ error: 'Request body is too large' });
+        }
+        next(err);
+    });
+
+    // Piper is installed and the default voice loaded in the background, so the server answers
+    // (and reports the install in /health) while that happens
+    async function prepareVoices() {
+        const installResult = await installPiper();
+        
+        // Check models
+        if (fs.existsSync(MODELS_DIR)) {
+            const onnxFiles = fs.readdirSync(MODELS_DIR).filter(f => f.endsWith('.onnx'));
+            logger.info('ONNX models found', { models: onnxFiles, piperInstalled: installResult.success });
+        }
+        
+        // Load the default voice into a worker right away
+        const defaultVoice = resolveVoice(loadVoiceCatalog(MODELS_DIR), 'default');
+        if (installResult.success && defaultVoice) {
+            piperPool.warmUp({ modelPath: defaultVoice.path });
+        }
+    }
     
-    // Try auto-install on startup
-    console.log('🔍 Checking Piper CLI...');
-    const installResult = await installPiper();
-    console.log('📦 Startup Piper install:', installResult);
+    // Start serving - port 0 picks a free port, see server.address()
+    function listen(port = config.port) {
+        return new Promise((resolve, reject) => {
+            server = app.listen(port, () => {
+                server.removeListener('error', reject);
+                logger.info('Railway Piper CLI Backend running', {
+                    port: server.address().port,
+                    health: `${getBaseUrl()}/health`,
+                    providers: TTS_PROVIDERS,
+                    config: config.file
+                });
+                
+                cleanupInterval = setInterval(cleanupOldJobs, config.cleanup.intervalMs);
+                if (config.piper.installOnStart) {
+                    prepareVoices();
+                }
+                resolve(server);
+            });
+            server.once('error', reject);
+        });
+    }
     
-    // Check models
-    if (fs.existsSync(MODELS_DIR)) {
-        const files = fs.readdirSync(MODELS_DIR);
-        const onnxFiles = files.filter(f => f.endsWith('.onnx'));
-        console.log(`📦 ONNX Models found:`, onnxFiles);
+    // Stop serving, persist pending job changes and stop Piper. Callbacks still being retried
+    // are picked up again by the next start.
+    async function close() {
+        clearInterval(cleanupInterval);
+        timers.forEach(timer => clearTimeout(timer));
+        timers.clear();
+        webhooks.stop();
         
-        if (onnxFiles.length > 0) {
-            console.log(`🎯 Ready for Piper CLI TTS with Norwegian model!`);
+        if (server) {
+            const closed = new Promise(resolve => server.close(() => resolve()));
+            // Open event streams would otherwise keep the server alive
+            server.closeAllConnections();
+            await closed;
         }
+        
+        jobs.flush();
+        batches.flush();
+        usage.flush();
+        piperPool.shutdown();
     }
-});
\ No newline at end of file
+    
+    return {
+        app,
+        config,
+        listen,
+        close,
+        installPiper
+    };
+}
+
+if (require.main === module) {
+    let server;
+    try {
+        server = createApp(loadConfig());
+    } catch (error) {
+        logger.error('Could not start server', { error: error.message, problems: error.problems });
+        process.exit(1);
+    }
+    
+    server.listen().catch(error => {
+        logger.error('Could not start server', { error: error });
+        process.exit(1);
+    });
+    
+    // Persist pending job changes before Railway stops the container
+    ['SIGTERM', 'SIGINT'].forEach(signal => {
+        process.on(signal, async () => {
+            logger.info('Shutting down, saving jobs', { signal: signal });
+            await server.close();
+            process.exit(0);
+        });
+    });
+}
+
+module.exports = {
+    createApp,
+    loadConfig
+};
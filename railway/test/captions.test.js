@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCues, shiftCues, formatTimestamp, toWebVtt, toSrt } = require('../lib/captions');
+
+test('places cues with the gap between sentences and explicit pauses', () => {
+    const cues = buildCues([
+        { text: 'Første setning.', seconds: 1.5 },
+        { text: 'Andre  setning.', seconds: 2 },
+        { silence: 1 },
+        { text: 'Tredje.', seconds: 0.5 },
+        { text: '  ', seconds: 0.25 }
+    ], { gapSeconds: 0.25 });
+
+    assert.deepEqual(cues, [
+        { start: 0, end: 1.5, text: 'Første setning.' },
+        { start: 1.75, end: 3.75, text: 'Andre setning.' },
+        { start: 4.75, end: 5.25, text: 'Tredje.' }
+    ]);
+});
+
+test('shifts cues after trimming and drops the ones cut away', () => {
+    const cues = [
+        { start: 0, end: 0.2, text: 'Borte.' },
+        { start: 0.3, end: 2, text: 'Kuttet i starten.' },
+        { start: 2.5, end: 4, text: 'Kuttet i slutten.' }
+    ];
+
+    assert.deepEqual(shiftCues(cues, 0.5, 3), [
+        { start: 0, end: 1.5, text: 'Kuttet i starten.' },
+        { start: 2, end: 3, text: 'Kuttet i slutten.' }
+    ]);
+});
+
+test('formats timestamps for WebVTT and SRT', () => {
+    assert.equal(formatTimestamp(3725.5, '.'), '01:02:05.500');
+    assert.equal(formatTimestamp(0.0004, ','), '00:00:00,000');
+    assert.equal(formatTimestamp(59.9996, ','), '00:01:00,000');
+});
+
+test('writes WebVTT with escaped cue text', () => {
+    const vtt = toWebVtt([
+        { start: 0, end: 1.25, text: 'A & B <i>' },
+        { start: 1.5, end: 2, text: 'Pil --> her' }
+    ]);
+
+    assert.equal(vtt, [
+        'WEBVTT',
+        '',
+        '1',
+        '00:00:00.000 --> 00:00:01.250',
+        'A &amp; B &lt;i&gt;',
+        '',
+        '2',
+        '00:00:01.500 --> 00:00:02.000',
+        'Pil -&gt; her',
+        ''
+    ].join('\n'));
+});
+
+test('writes SRT', () => {
+    const srt = toSrt([
+        { start: 0, end: 1.25, text: 'A & B' },
+        { start: 61, end: 62.5, text: 'Pil --> her' }
+    ]);
+
+    assert.equal(srt, [
+        '1',
+        '00:00:00,000 --> 00:00:01,250',
+        'A & B',
+        '',
+        '2',
+        '00:01:01,000 --> 00:01:02,500',
+        'Pil -> her',
+        ''
+    ].join('\n'));
+});
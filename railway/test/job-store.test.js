@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFileJobStore } = require('../lib/job-store');
+
+let root;
+
+test.before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-store-'));
+});
+
+test.after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+function saved(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')).jobs;
+}
+
+test('writes a burst of changes once, in the background', async () => {
+    const filePath = path.join(root, 'burst', 'jobs.json');
+    const store = createFileJobStore(filePath, { writeDelay: 20 });
+
+    for (let progress = 0; progress <= 100; progress += 10) {
+        store.set('job-1', { id: 'job-1', status: 'processing', progress });
+    }
+    assert.equal(fs.existsSync(filePath), false);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(saved(filePath)['job-1'].progress, 100);
+    assert.equal(createFileJobStore(filePath).get('job-1').progress, 100);
+});
+
+test('flush writes pending changes right away', async () => {
+    const filePath = path.join(root, 'flush', 'jobs.json');
+    const store = createFileJobStore(filePath, { writeDelay: 20 });
+
+    store.set('job-1', { id: 'job-1', status: 'processing' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // A change that is still waiting for its background write when the process stops
+    store.set('job-1', { id: 'job-1', status: 'completed' });
+    store.flush();
+    assert.equal(saved(filePath)['job-1'].status, 'completed');
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(saved(filePath)['job-1'].status, 'completed');
+    assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['jobs.json']);
+});
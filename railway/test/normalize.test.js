@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeText } = require('../lib/normalize');
+
+test('dot thousands separators', () => {
+    assert.equal(normalizeText('Det kostet 2.500 kroner'), 'Det kostet to tusen fem hundre kroner');
+    assert.equal(normalizeText('1.000.000'), 'en million');
+    assert.equal(normalizeText('10.000 kr'), 'ti tusen kroner');
+});
+
+test('dot thousands separators in amounts with øre', () => {
+    assert.equal(normalizeText('kr 1.499,50'), 'tusen fire hundre og nittini kroner og femti øre');
+    assert.equal(normalizeText('kr. 1.499,50'), 'tusen fire hundre og nittini kroner og femti øre');
+});
+
+test('decimal points', () => {
+    assert.equal(normalizeText('2.5'), 'to komma fem');
+    assert.equal(normalizeText('3.5 km'), 'tre komma fem kilometer');
+    assert.equal(normalizeText('2.5%'), 'to komma fem prosent');
+    assert.equal(normalizeText('2.50 dollar'), 'to dollar og femti cent');
+});
+
+test('space thousands separators and decimal commas', () => {
+    assert.equal(normalizeText('1 000 000 innbyggere'), 'en million innbyggere');
+    assert.equal(normalizeText('2,5 %'), 'to komma fem prosent');
+    assert.equal(normalizeText('100,-'), 'hundre kroner');
+});
+
+test('dates, times and ordinals keep their points', () => {
+    assert.equal(normalizeText('12.05.2025'), 'tolvte mai to tusen og tjuefem');
+    assert.equal(normalizeText('kl 14.30'), 'klokka fjorten tretti');
+    assert.equal(normalizeText('17. mai'), 'syttende mai');
+});
+
+test('min and sek are only units after a number', () => {
+    assert.equal(normalizeText('Boka er min.'), 'Boka er min.');
+    assert.equal(normalizeText('Det tok 20 sek. til'), 'Det tok tjue sekunder til');
+    assert.equal(normalizeText('1 min'), 'ett minutt');
+});
+
+test('an abbreviation that ends the sentence keeps its period', () => {
+    assert.equal(normalizeText('Det tok 5 min. Da var vi ferdige.'), 'Det tok fem minutter. Da var vi ferdige.');
+    assert.equal(normalizeText('Det kostet 10 kr. Neste setning er her.'), 'Det kostet ti kroner. Neste setning er her.');
+    assert.equal(normalizeText('Epler, pærer osv.'), 'Epler, pærer og så videre.');
+    assert.equal(normalizeText('f.eks. slik'), 'for eksempel slik');
+});
+
+test('units agree with one', () => {
+    assert.equal(normalizeText('1 g'), 'ett gram');
+    assert.equal(normalizeText('1 kg'), 'ett kilo');
+    assert.equal(normalizeText('1 km'), 'en kilometer');
+});
+
+test('phone numbers are read in pairs or digit by digit', () => {
+    assert.equal(normalizeText('tlf. 22 33 44 55'), 'telefon tjueto trettitre førtifire femtifem');
+    assert.equal(normalizeText('Telefon: +47 987 65 432'), 'Telefon: pluss fire sju, nittiåtte syttiseks femtifire trettito');
+    assert.equal(normalizeText('Ring 22334455 i dag'), 'Ring tjueto trettitre førtifire femtifem i dag');
+    assert.equal(normalizeText('tlf. 113'), 'telefon en en tre');
+});
+
+test('numbers inside words are left alone', () => {
+    assert.equal(normalizeText('v1.2.3 er ute'), 'v1.2.3 er ute');
+    assert.equal(normalizeText('A4-ark'), 'A4-ark');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+const { createPiperPool } = require('../lib/piper-pool');
+
+// Runs the pool against the stub Piper (test/fixtures/piper), which exits on a "CRASH" line
+
+const STUB_PIPER = path.join(__dirname, 'fixtures', 'piper');
+const MODEL = { modelPath: 'no_NO-test-medium.onnx' };
+
+let root;
+let pool;
+
+test.before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-pool-'));
+});
+
+test.afterEach(() => {
+    pool.shutdown();
+});
+
+test.after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+function line(text, name) {
+    return { text: text, output_file: path.join(root, `${name}.wav`) };
+}
+
+test('synthesizes on a warm worker', async () => {
+    pool = createPiperPool({ getPiperPath: () => STUB_PIPER });
+
+    const first = await pool.synthesize(MODEL, line('Hei.', 'first'));
+    const second = await pool.synthesize(MODEL, line('Hei igjen.', 'second'));
+
+    assert.equal(fs.readFileSync(first).toString('ascii', 0, 4), 'RIFF');
+    assert.equal(fs.readFileSync(second).toString('ascii', 0, 4), 'RIFF');
+    assert.deepEqual(pool.stats().map(w => [w.completed, w.restarts]), [[2, 0]]);
+});
+
+test('fails the line Piper crashed on and restarts the worker for the next one', async () => {
+    pool = createPiperPool({ getPiperPath: () => STUB_PIPER });
+
+    const crashed = pool.synthesize(MODEL, line('CRASH', 'crashed'));
+    const queued = pool.synthesize(MODEL, line('Etter krasjet.', 'queued'));
+
+    await assert.rejects(crashed, /Piper worker exited \(code 3/);
+    assert.equal(fs.readFileSync(await queued).toString('ascii', 0, 4), 'RIFF');
+
+    const [worker] = pool.stats();
+    assert.equal(worker.running, true);
+    assert.equal(worker.restarts, 1);
+    assert.equal(worker.completed, 1);
+});
+
+test('cancels a line by killing the worker, which then comes back', async () => {
+    pool = createPiperPool({ getPiperPath: () => STUB_PIPER });
+    await pool.synthesize(MODEL, line('Oppvarming.', 'warm'));
+
+    const controller = new AbortController();
+    const cancelled = pool.synthesize(MODEL, line('HANG', 'cancelled'), controller.signal);
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(cancelled, /Job cancelled/);
+
+    assert.equal(fs.readFileSync(await pool.synthesize(MODEL, line('Igjen.', 'again'))).toString('ascii', 0, 4), 'RIFF');
+    assert.equal(pool.stats()[0].restarts, 1);
+});
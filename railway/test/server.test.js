@@ -0,0 +1,276 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server logs every request; only problems are interesting here
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+const { createApp, loadConfig } = require('../server');
+
+// Boots the whole server against temporary directories, with a stub in place of the Piper CLI
+// (test/fixtures/piper) and one voice model that the stub never reads.
+
+const STUB_PIPER = path.join(__dirname, 'fixtures', 'piper');
+const VOICE = 'no_NO-test-medium';
+
+const KEYS = {
+    web: 'web-key-0123456789',
+    other: 'other-key-0123456789',
+    gateway: 'gateway-key-0123456789'
+};
+
+let root;
+let base;
+let keyed;
+const servers = [];
+
+// Start a server with its own audio directory; values override the shared test settings
+async function boot(name, values = {}) {
+    const config = loadConfig({
+        env: {},
+        values: {
+            port: 0,
+            paths: { models: path.join(root, 'models'), audio: path.join(root, name, 'audio'), piper: path.join(root, 'piper') },
+            stores: { type: 'memory', audioCache: path.join(root, name, 'audio-cache.json') },
+            providers: ['piper'],
+            piper: { executable: STUB_PIPER, installOnStart: false },
+            // Post-processing has no ffmpeg to run
+            audio: { ffmpegPath: path.join(root, 'ffmpeg') },
+            ...values
+        }
+    });
+
+    const tts = createApp(config);
+    servers.push(tts);
+    const server = await tts.listen();
+    return `http://localhost:${server.address().port}`;
+}
+
+test.before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-test-'));
+    const models = path.join(root, 'models');
+    fs.mkdirSync(models);
+    fs.writeFileSync(path.join(models, `${VOICE}.onnx`), '');
+    fs.writeFileSync(path.join(models, `${VOICE}.onnx.json`), JSON.stringify({
+        audio: { sample_rate: 22050, quality: 'medium' },
+        language: { code: 'no_NO', family: 'no', region: 'NO', name_native: 'Norsk' },
+        inference: { length_scale: 1, noise_scale: 0.667, noise_w: 0.8 },
+        num_speakers: 1,
+        speaker_id_map: {}
+    }));
+
+    // Without API keys anyone may synthesize
+    base = await boot('open');
+    keyed = await boot('keyed', {
+        auth: {
+            apiKeys: [
+                { id: 'web', key: KEYS.web, role: 'client', requestsPerMinute: 2 },
+                { id: 'other', key: KEYS.other, role: 'client' },
+                { id: 'vercel', key: KEYS.gateway, role: 'gateway', requestsPerMinute: 1 }
+            ]
+        }
+    });
+});
+
+test.after(async () => {
+    await Promise.all(servers.map(tts => tts.close()));
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+async function postJson(url, body) {
+    const response = await fetch(`${base}${url}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function waitForJob(jobId) {
+    for (let i = 0; i < 100; i++) {
+        const job = await (await fetch(`${base}/api/job/${jobId}`)).json();
+        if (['completed', 'failed', 'cancelled'].includes(job.status)) return job;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+}
+
+test('health reports the stub executable', async () => {
+    const health = await (await fetch(`${base}/health`)).json();
+    assert.equal(health.status, 'ok');
+    assert.equal(health.piper_status.source, STUB_PIPER);
+});
+
+test('lists the voice model', async () => {
+    const catalog = await (await fetch(`${base}/api/models`)).json();
+    assert.deepEqual(catalog.models.map(model => model.id), [VOICE]);
+});
+
+test('synthesizes a job and serves the audio', async () => {
+    const created = await postJson('/api/tts', { text: 'Hei der.' });
+    assert.equal(created.status, 200);
+
+    const job = await waitForJob(created.body.jobId);
+    assert.equal(job.status, 'completed', job.error);
+
+    const audio = Buffer.from(await (await fetch(job.audioUrl)).arrayBuffer());
+    assert.equal(audio.toString('ascii', 0, 4), 'RIFF');
+    assert.ok(audio.length > 44);
+});
+
+test('serves a repeated request from the cache', async () => {
+    await waitForJob((await postJson('/api/tts', { text: 'Samme tekst.' })).body.jobId);
+    const repeated = await postJson('/api/tts', { text: 'Samme tekst.' });
+    assert.equal(repeated.body.cacheHit, true);
+    assert.equal((await waitForJob(repeated.body.jobId)).status, 'completed');
+});
+
+test('writes captions with one cue per sentence, as it was written', async () => {
+    const created = await postJson('/api/tts', { text: 'Det kostet kr 1.499,50. Vi ses 17. mai kl. 14.30!', captions: true });
+    const job = await waitForJob(created.body.jobId);
+    assert.equal(job.status, 'completed', job.error);
+    assert.equal(job.captionCount, 2);
+
+    const vtt = await (await fetch(job.captionsUrl)).text();
+    assert.match(vtt, /^WEBVTT/);
+    assert.ok(vtt.includes('Det kostet kr 1.499,50.'), vtt);
+    assert.ok(vtt.includes('Vi ses 17. mai kl. 14.30!'), vtt);
+});
+
+test('fails the job Piper crashes on and keeps serving after the restart', async () => {
+    const crashed = await waitForJob((await postJson('/api/tts', { text: 'CRASH' })).body.jobId);
+    assert.equal(crashed.status, 'failed');
+    assert.match(crashed.error, /Piper worker exited/);
+
+    const next = await waitForJob((await postJson('/api/tts', { text: 'Etter krasjet.' })).body.jobId);
+    assert.equal(next.status, 'completed', next.error);
+});
+
+test('fails a job whose audio cannot be post-processed', async () => {
+    const created = await postJson('/api/tts', { text: 'Hei der.', sampleRate: 16000 });
+    assert.equal(created.status, 200);
+
+    const job = await waitForJob(created.body.jobId);
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /post-processing failed/);
+    assert.equal(job.audioUrl, undefined);
+});
+
+// Entries of a ZIP archive with stored (uncompressed) files, walked through the local headers
+function zipEntries(buffer) {
+    const entries = {};
+    let position = 0;
+    while (buffer.readUInt32LE(position) === 0x04034b50) {
+        const size = buffer.readUInt32LE(position + 18);
+        const nameEnd = position + 30 + buffer.readUInt16LE(position + 26);
+        entries[buffer.toString('utf8', position + 30, nameEnd)] = buffer.subarray(nameEnd, nameEnd + size);
+        position = nameEnd + size;
+    }
+    return entries;
+}
+
+test('packs a finished batch into a ZIP archive with a manifest', async () => {
+    const created = await postJson('/api/tts/batch', {
+        items: [{ id: 'intro', text: 'Velkommen.', captions: true }, { id: 'slutt', text: 'Ha det.' }]
+    });
+    assert.equal(created.status, 200);
+
+    let batch;
+    for (let i = 0; i < 100 && (!batch || !['completed', 'partial'].includes(batch.status)); i++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        batch = await (await fetch(`${base}/api/batch/${created.body.batchId}`)).json();
+    }
+    assert.equal(batch.status, 'completed');
+
+    const response = await fetch(`${base}/api/batch/${created.body.batchId}/archive`);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+    const entries = zipEntries(Buffer.from(await response.arrayBuffer()));
+
+    const manifest = JSON.parse(entries['manifest.json']);
+    assert.equal(manifest.batchId, created.body.batchId);
+    assert.deepEqual(manifest.items.intro.captions, { vtt: 'intro.vtt', srt: 'intro.srt' });
+    assert.equal(manifest.items.slutt.status, 'completed');
+    assert.deepEqual(Object.keys(entries).sort(), ['intro.srt', 'intro.vtt', 'intro.wav', 'manifest.json', 'slutt.wav']);
+    assert.equal(entries['slutt.wav'].toString('ascii', 0, 4), 'RIFF');
+    assert.match(entries['intro.vtt'].toString(), /Velkommen\./);
+});
+
+test('streams WAV audio', async () => {
+    const response = await fetch(`${base}/api/tts/stream?text=${encodeURIComponent('Hei der.')}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'audio/wav');
+
+    const audio = Buffer.from(await response.arrayBuffer());
+    assert.equal(audio.toString('ascii', 0, 4), 'RIFF');
+    assert.ok(audio.length > 44);
+});
+
+test('streams raw PCM with its sample rate in the content type', async () => {
+    const response = await fetch(`${base}/api/tts/stream?format=pcm&text=${encodeURIComponent('Hei der.')}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'audio/L16;rate=22050;channels=1');
+    assert.ok((await response.arrayBuffer()).byteLength > 0);
+});
+
+test('rejects invalid requests', async () => {
+    assert.equal((await postJson('/api/tts', {})).status, 400);
+    assert.equal((await postJson('/api/tts', { text: 'Hei', voice: 'finnes-ikke' })).status, 400);
+    assert.equal((await fetch(`${base}/api/job/finnes-ikke`)).status, 404);
+});
+
+test('rejects invalid SSML with the parser error', async () => {
+    const rejected = await postJson('/api/tts', { ssml: '<speak><prosody rate="lynrask">Hei</prosody></speak>' });
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.body.error, /^Invalid SSML: Invalid prosody rate "lynrask"/);
+});
+
+// A request to the server with API keys, made with one of them
+function withKey(key, url, { body, forwardedFor } = {}) {
+    const headers = { Authorization: `Bearer ${key}` };
+    if (body) headers['Content-Type'] = 'application/json';
+    if (forwardedFor) headers['X-Forwarded-For'] = forwardedFor;
+    return fetch(`${keyed}${url}`, { method: body ? 'POST' : 'GET', headers: headers, body: body && JSON.stringify(body) });
+}
+
+test('requires a valid API key once keys are configured', async () => {
+    const anonymous = await fetch(`${keyed}/api/tts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: 'Hei' })
+    });
+    assert.equal(anonymous.status, 401);
+    assert.equal((await withKey('feil-nokkel-0123456789', '/api/tts', { body: { text: 'Hei' } })).status, 401);
+});
+
+test('limits requests per key and says when to retry', async () => {
+    for (let i = 0; i < 2; i++) {
+        assert.equal((await withKey(KEYS.web, '/api/tts', { body: { text: `Forsøk ${i}.` } })).status, 200);
+    }
+
+    const limited = await withKey(KEYS.web, '/api/tts', { body: { text: 'En for mye.' } });
+    assert.equal(limited.status, 429);
+    const retryAfter = Number(limited.headers.get('retry-after'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After: ${retryAfter}`);
+    assert.equal((await limited.json()).limit, 'requestsPerMinute');
+
+    // Other keys have limits of their own
+    assert.equal((await withKey(KEYS.other, '/api/tts', { body: { text: 'Hei.' } })).status, 200);
+});
+
+test('only the key that created a job may read it', async () => {
+    const created = await (await withKey(KEYS.other, '/api/tts', { body: { text: 'Min jobb.' } })).json();
+
+    const foreign = await withKey(KEYS.web, `/api/job/${created.jobId}`);
+    assert.equal(foreign.status, 403);
+    assert.equal((await foreign.json()).error, 'Job belongs to another API key');
+    assert.equal((await withKey(KEYS.other, `/api/job/${created.jobId}`)).status, 200);
+});
+
+test('limits every address behind a gateway key on its own', async () => {
+    const send = forwardedFor => withKey(KEYS.gateway, '/api/tts', { body: { text: 'Via gatewayen.' }, forwardedFor: forwardedFor });
+
+    assert.equal((await send('203.0.113.1')).status, 200);
+    assert.equal((await send('203.0.113.1')).status, 429);
+    assert.equal((await send('203.0.113.2, 10.0.0.1')).status, 200);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSsml, segmentsToText } = require('../lib/ssml');
+
+test('breaks split the text into segments', () => {
+    assert.deepEqual(parseSsml('<speak>Hei.<break time="500ms"/>Der.<break strength="strong"/>Ja.</speak>'), [
+        { type: 'text', text: 'Hei.', rate: 1 },
+        { type: 'break', seconds: 0.5 },
+        { type: 'text', text: 'Der.', rate: 1 },
+        { type: 'break', seconds: 0.75 },
+        { type: 'text', text: 'Ja.', rate: 1 }
+    ]);
+});
+
+test('long and trailing breaks are cut', () => {
+    assert.deepEqual(parseSsml('<speak>Hei.<break time="30s"/>Der.<break time="2s"/></speak>'), [
+        { type: 'text', text: 'Hei.', rate: 1 },
+        { type: 'break', seconds: 10 },
+        { type: 'text', text: 'Der.', rate: 1 }
+    ]);
+});
+
+test('prosody rate becomes a length scale multiplier', () => {
+    assert.deepEqual(parseSsml('<speak><prosody rate="slow">Sakte.</prosody> <prosody rate="200%">Fort <prosody rate="x-slow">og sakte.</prosody></prosody></speak>'), [
+        { type: 'text', text: 'Sakte.', rate: 1.25 },
+        { type: 'text', text: 'Fort', rate: 0.5 },
+        { type: 'text', text: 'og sakte.', rate: 0.8 }
+    ]);
+});
+
+test('paragraphs end with a pause and say-as is spelled out', () => {
+    const segments = parseSsml('<speak><p>Ring <say-as interpret-as="telephone">22 33 44 55</say-as>.</p><p>Kode <say-as interpret-as="characters">AB1</say-as>.</p></speak>');
+    assert.deepEqual(segments, [
+        { type: 'text', text: 'Ring tjueto trettitre førtifire femtifem.', rate: 1 },
+        { type: 'break', seconds: 0.4 },
+        { type: 'text', text: 'Kode a be en.', rate: 1 }
+    ]);
+    assert.equal(segmentsToText(segments), 'Ring tjueto trettitre førtifire femtifem. Kode a be en.');
+});
+
+test('rejects malformed SSML', () => {
+    const invalid = {
+        '': /SSML is required/,
+        'Hei': /Text outside <speak>/,
+        '<speak>Hei': /Unclosed <speak>/,
+        '<speak><s>Hei</p></speak>': /Mismatched closing tag <\/p> - expected <\/s>/,
+        '<speak><b>Hei</b></speak>': /Unsupported SSML element <b>/,
+        '<speak>Hei<break></break></speak>': /must be self-closing/,
+        '<speak>Hei<break time="lenge"/></speak>': /Invalid break time/,
+        '<speak><prosody>Hei</prosody></speak>': /requires a rate attribute/,
+        '<speak><prosody rate="1000%">Hei</prosody></speak>': /Invalid prosody rate/,
+        '<speak><say-as interpret-as="telephone">2<break/>2</say-as></speak>': /cannot contain other elements/,
+        '<speak>&foo;</speak>': /Unknown entity &foo;/,
+        '<speak><break time="1s"/></speak>': /no text to speak/,
+        [`<speak>${'Hei<break time="10s"/>'.repeat(7)}Hei</speak>`]: /Pauses add up to 70s/
+    };
+
+    for (const [ssml, error] of Object.entries(invalid)) {
+        assert.throws(() => parseSsml(ssml), error, ssml);
+    }
+});
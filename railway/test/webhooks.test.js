@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+const { signPayload, isPublicAddress, checkCallbackUrl, publicLookup, createWebhookSender } = require('../lib/webhooks');
+
+function lookup(hostname) {
+    return new Promise(resolve => publicLookup(hostname, {}, (error, address, family) => resolve({ error, address, family })));
+}
+
+// A receiver on localhost that answers with the given status codes in turn and keeps what it got
+async function receiver(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        requests,
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        close: () => {
+            server.closeAllConnections();
+            server.close();
+        }
+    };
+}
+
+// Deliver one finished job and resolve with the delivery state once it stops retrying
+function deliver(options, job) {
+    return new Promise(resolve => {
+        const sender = createWebhookSender({
+            secretFor: () => 'hemmelig',
+            baseDelay: 10,
+            ...options,
+            onChange: (jobId, webhook) => {
+                if (webhook.status !== 'retrying') resolve(webhook);
+            }
+        });
+        sender.deliver(job);
+    });
+}
+
+test('blocks private addresses, also inside NAT64 and 6to4 addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '169.254.169.254', '::1', 'fd00::1', '::ffff:10.0.0.1',
+        '64:ff9b::a01:203', '64:ff9b::127.0.0.1', '2002:a01:203::1', '2002:a9fe:a9fe::']) {
+        assert.equal(isPublicAddress(address), false, address);
+    }
+    for (const address of ['8.8.8.8', '::ffff:8.8.8.8', '64:ff9b::808:808', '2002:808:808::1', '2606:4700::1111']) {
+        assert.equal(isPublicAddress(address), true, address);
+    }
+});
+
+test('checks callback URLs', () => {
+    assert.equal(checkCallbackUrl('https://example.com/hook'), null);
+    assert.match(checkCallbackUrl('ikke en url'), /absolute URL/);
+    assert.match(checkCallbackUrl('http://example.com/hook'), /https/);
+    assert.equal(checkCallbackUrl('http://example.com/hook', { allowHttp: true }), null);
+
+    for (const url of ['https://localhost/', 'https://localhost./', 'https://api.localhost/', 'https://127.0.0.1/',
+        'https://[::1]/', 'https://[64:ff9b::7f00:1]/', 'https://169.254.169.254/latest/meta-data']) {
+        assert.match(checkCallbackUrl(url), /public address/, url);
+    }
+
+    assert.equal(checkCallbackUrl('https://hooks.internal/', { allowedHosts: ['hooks.internal'] }), null);
+    assert.match(checkCallbackUrl('https://example.com/', { allowedHosts: ['hooks.internal'] }), /allowlist/);
+});
+
+test('refuses names that resolve to non-public addresses', async () => {
+    const blocked = await lookup('127.0.0.1');
+    assert.equal(blocked.error.code, 'EBLOCKED');
+
+    const allowed = await lookup('8.8.8.8');
+    assert.ifError(allowed.error);
+    assert.equal(allowed.address, '8.8.8.8');
+    assert.equal(allowed.family, 4);
+});
+
+test('signs the payload and retries server errors', async () => {
+    const { close, requests, url } = await receiver([500, 503, 200]);
+    try {
+        const webhook = await deliver({ allowHttp: true, allowedHosts: ['127.0.0.1'] },
+            { id: 'job-1', status: 'completed', callbackUrl: url });
+
+        assert.equal(webhook.status, 'delivered');
+        assert.deepEqual(webhook.attempts.map(entry => entry.statusCode), [500, 503, 200]);
+        assert.equal(requests.length, 3);
+        assert.equal(new Set(requests.map(request => request.headers['x-webhook-id'])).size, 1);
+
+        for (const { headers, body } of requests) {
+            assert.equal(headers['x-webhook-event'], 'job.completed');
+            assert.equal(headers['x-webhook-signature'], `sha256=${signPayload('hemmelig', headers['x-webhook-timestamp'], body)}`);
+            assert.deepEqual(JSON.parse(body), { id: 'job-1', status: 'completed', callbackUrl: url });
+        }
+    } finally {
+        close();
+    }
+});
+
+test('gives up after maxAttempts and does not retry client errors', async () => {
+    const failing = await receiver([502]);
+    const rejecting = await receiver([400]);
+    try {
+        const options = { allowHttp: true, allowedHosts: ['127.0.0.1'], maxAttempts: 3 };
+
+        const exhausted = await deliver(options, { id: 'job-2', status: 'failed', callbackUrl: failing.url });
+        assert.equal(exhausted.status, 'failed');
+        assert.equal(failing.requests.length, 3);
+
+        const rejected = await deliver(options, { id: 'job-3', status: 'completed', callbackUrl: rejecting.url });
+        assert.equal(rejected.status, 'failed');
+        assert.equal(rejecting.requests.length, 1);
+    } finally {
+        failing.close();
+        rejecting.close();
+    }
+});
+
+test('never connects to a private address without an allowlist', async () => {
+    const { close, requests, url } = await receiver([200]);
+    try {
+        const webhook = await deliver({ allowHttp: true }, { id: 'job-4', status: 'completed', callbackUrl: url });
+        assert.equal(webhook.status, 'failed');
+        assert.match(webhook.attempts[0].error, /public address/);
+        assert.equal(requests.length, 0);
+    } finally {
+        close();
+    }
+});
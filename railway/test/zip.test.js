@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { crc32, createZipWriter } = require('../lib/zip');
+
+// Write an archive into memory
+async function writeZip(files) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    const zip = createZipWriter(output);
+    for (const [name, data, options] of files) {
+        await zip.addFile(name, data, options);
+    }
+    await zip.finish();
+    return Buffer.concat(chunks);
+}
+
+// Read the entries back through the central directory, the way unzip tools do
+function readZip(buffer) {
+    const end = buffer.length - 22;
+    assert.equal(buffer.readUInt32LE(end), 0x06054b50);
+    const count = buffer.readUInt16LE(end + 10);
+    let position = buffer.readUInt32LE(end + 16);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(buffer.readUInt32LE(position), 0x02014b50);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const local = buffer.readUInt32LE(position + 42);
+        assert.equal(buffer.readUInt32LE(local), 0x04034b50);
+
+        const dataStart = local + 30 + buffer.readUInt16LE(local + 26);
+        const data = buffer.subarray(dataStart, dataStart + buffer.readUInt32LE(position + 24));
+        entries.push({
+            name: buffer.toString('utf8', position + 46, position + 46 + nameLength),
+            crc: buffer.readUInt32LE(position + 16),
+            time: buffer.readUInt16LE(position + 12),
+            date: buffer.readUInt16LE(position + 14),
+            data: data
+        });
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+test('computes the standard CRC-32', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('stores files that read back unchanged', async () => {
+    const audio = Buffer.from([0, 1, 2, 253, 254, 255]);
+    const entries = readZip(await writeZip([
+        ['første.wav', audio],
+        ['manifest.json', Buffer.from('{"items":{}}')]
+    ]));
+
+    assert.deepEqual(entries.map(entry => entry.name), ['første.wav', 'manifest.json']);
+    assert.deepEqual(entries[0].data, audio);
+    assert.equal(entries[0].crc, crc32(audio));
+    assert.equal(entries[1].data.toString(), '{"items":{}}');
+});
+
+test('keeps modification times in MS-DOS format', async () => {
+    const [entry] = readZip(await writeZip([['a.wav', Buffer.from('a'), { modifiedAt: new Date(2025, 4, 17, 14, 30, 11) }]]));
+
+    assert.equal(entry.date, ((2025 - 1980) << 9) | (5 << 5) | 17);
+    assert.equal(entry.time, (14 << 11) | (30 << 5) | 5);
+});
+
+test('writes an empty archive', async () => {
+    assert.deepEqual(readZip(await writeZip([])), []);
+});
+
+test('refuses to write after the output closed', async () => {
+    const output = new PassThrough();
+    const zip = createZipWriter(output);
+    output.destroy();
+
+    await assert.rejects(zip.addFile('a.wav', Buffer.from('a')), /ZIP output was closed/);
+});
@@ -0,0 +1,316 @@
+// tts-client.js - TTS client for the browser and Node (20+)
+//
+//   import { TTSClient } from './tts-client.js';
+//   const client = new TTSClient({ baseUrl: 'https://my-app.vercel.app' });
+//   const job = await client.synthesize('Hei!', { voice: 'default', onProgress: job => console.log(job.progress) });
+//   console.log(job.audioUrl);
+//
+// In the browser baseUrl defaults to the page's own origin, i.e. the Vercel gateway.
+// Every call takes an AbortSignal; failures are thrown as the error classes below.
+
+// Base class for everything the client throws
+export class TTSError extends Error {
+    constructor(message, { cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'TTSError';
+    }
+}
+
+// The backend answered with an error status; body is its JSON error, when it sent one
+export class TTSHttpError extends TTSError {
+    constructor(message, { status, body = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'TTSHttpError';
+        this.status = status;
+        this.body = body;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// 429 - retryAfter is in seconds
+export class TTSRateLimitError extends TTSHttpError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'TTSRateLimitError';
+    }
+}
+
+// The backend could not be reached, or did not answer in time
+export class TTSNetworkError extends TTSError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'TTSNetworkError';
+    }
+}
+
+// The job finished without audio - job.status is 'failed' or 'cancelled'
+export class TTSJobError extends TTSError {
+    constructor(message, { job } = {}) {
+        super(message);
+        this.name = 'TTSJobError';
+        this.job = job;
+    }
+}
+
+// The caller's AbortSignal fired
+export class TTSAbortError extends TTSError {
+    constructor(message = 'Request was aborted', options) {
+        super(message, options);
+        this.name = 'AbortError';
+    }
+}
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// POST /api/tts creates a job, so it is only repeated when the backend says it did not take it
+const POST_RETRY_STATUSES = [429, 503];
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new TTSAbortError());
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new TTSAbortError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// AbortSignal.any, which Safari before 17.4 and Chrome before 116 do not have
+function anySignal(signals) {
+    if (AbortSignal.any) return AbortSignal.any(signals);
+
+    const controller = new AbortController();
+    for (const signal of signals) {
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+            break;
+        }
+        // Passing the controller's own signal drops every listener once one of them fires
+        signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true, signal: controller.signal });
+    }
+    return controller.signal;
+}
+
+export class TTSClient {
+    constructor({
+        baseUrl,
+        apiKey = null,
+        fetch: fetchImpl = globalThis.fetch,
+        EventSource: EventSourceImpl = globalThis.EventSource,
+        retries = 3,
+        retryDelay = 500,
+        maxRetryDelay = 10000,
+        requestTimeout = 30000,
+        pollInterval = 1500,
+        jobTimeout = 10 * 60 * 1000,
+        healthPath = '/api/health'
+    } = {}) {
+        if (baseUrl === undefined) {
+            if (typeof location === 'undefined') {
+                throw new TypeError('TTSClient needs a baseUrl outside the browser');
+            }
+            baseUrl = location.origin;
+        }
+        if (typeof fetchImpl !== 'function') {
+            throw new TypeError('TTSClient needs fetch - use Node 18 or pass one in');
+        }
+
+        this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.fetch = fetchImpl.bind(globalThis);
+        this.EventSource = EventSourceImpl || null;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.maxRetryDelay = maxRetryDelay;
+        this.requestTimeout = requestTimeout;
+        this.pollInterval = pollInterval;
+        this.jobTimeout = jobTimeout;
+        this.healthPath = healthPath;
+    }
+
+    // Absolute URL for a backend path; URLs that already are absolute are left alone
+    url(path) {
+        return /^https?:\/\//i.test(path) ? path : `${this.baseUrl}${path.startsWith('/') ? '' : '/'}${path}`;
+    }
+
+    // JSON request with retries for transient failures (network errors, 408, 429 and 5xx)
+    async request(path, { method = 'GET', body, signal, retries = this.retries } = {}) {
+        const retryStatuses = method === 'POST' ? POST_RETRY_STATUSES : RETRY_STATUSES;
+
+        for (let attempt = 0; ; attempt++) {
+            if (signal?.aborted) throw new TTSAbortError();
+
+            let error;
+            try {
+                return await this.send(path, { method, body, signal });
+            } catch (err) {
+                error = err;
+            }
+
+            const transient = error instanceof TTSNetworkError ||
+                (error instanceof TTSHttpError && retryStatuses.includes(error.status));
+            if (!transient || attempt >= retries || (method === 'POST' && error instanceof TTSNetworkError)) {
+                throw error;
+            }
+
+            // Exponential backoff with jitter; the backend's Retry-After wins when it is longer,
+            // unless it is longer than we are willing to wait
+            const retryAfter = (error.retryAfter || 0) * 1000;
+            if (retryAfter > this.maxRetryDelay) {
+                throw error;
+            }
+            const backoff = Math.min(this.retryDelay * 2 ** attempt, this.maxRetryDelay) * (0.5 + Math.random() / 2);
+            await sleep(Math.max(backoff, retryAfter), signal);
+        }
+    }
+
+    async send(path, { method, body, signal }) {
+        const headers = { Accept: 'application/json' };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+        const timeout = AbortSignal.timeout(this.requestTimeout);
+        const combined = signal ? anySignal([signal, timeout]) : timeout;
+
+        let response;
+        try {
+            response = await this.fetch(this.url(path), {
+                method: method,
+                headers: headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: combined
+            });
+        } catch (error) {
+            if (signal?.aborted) throw new TTSAbortError(undefined, { cause: error });
+            if (timeout.aborted) throw new TTSNetworkError(`Request timed out after ${this.requestTimeout}ms`, { cause: error });
+            throw new TTSNetworkError(`Could not reach the TTS backend: ${error.message}`, { cause: error });
+        }
+
+        const data = await response.json().catch(() => null);
+
+        if (!response.ok) {
+            const retryAfter = parseInt(response.headers.get('retry-after'), 10) || null;
+            const message = data?.error || `HTTP ${response.status}`;
+            const ErrorClass = response.status === 429 ? TTSRateLimitError : TTSHttpError;
+            throw new ErrorClass(message, { status: response.status, body: data, retryAfter });
+        }
+
+        return data;
+    }
+
+    health({ signal } = {}) {
+        return this.request(this.healthPath, { signal, retries: 0 });
+    }
+
+    models({ signal } = {}) {
+        return this.request('/api/models', { signal });
+    }
+
+    // Queue a job. options are the /api/tts fields: voice, lengthScale, captions, provider, ...
+    createJob(text, { signal, ...options } = {}) {
+        return this.request('/api/tts', { method: 'POST', body: { ...options, text }, signal });
+    }
+
+    getJob(jobId, { signal } = {}) {
+        return this.request(`/api/job/${encodeURIComponent(jobId)}`, { signal });
+    }
+
+    cancelJob(jobId, { signal } = {}) {
+        return this.request(`/api/job/${encodeURIComponent(jobId)}`, { method: 'DELETE', signal });
+    }
+
+    // Wait until a job is finished, reporting every status change to onProgress(job).
+    // Uses Server-Sent Events where EventSource exists and polling otherwise.
+    async waitForJob(jobId, { signal, onProgress } = {}) {
+        const deadline = AbortSignal.timeout(this.jobTimeout);
+        const combined = signal ? anySignal([signal, deadline]) : deadline;
+
+        let job;
+        try {
+            job = this.EventSource
+                ? await this.streamJob(jobId, combined, onProgress).catch(error => {
+                    // A dropped event stream falls back to polling
+                    if (!(error instanceof TTSNetworkError) || combined.aborted) throw error;
+                    return this.pollJob(jobId, combined, onProgress);
+                })
+                : await this.pollJob(jobId, combined, onProgress);
+        } catch (error) {
+            if (deadline.aborted && !signal?.aborted) {
+                throw new TTSNetworkError(`Job ${jobId} did not finish within ${this.jobTimeout}ms`);
+            }
+            throw error;
+        }
+
+        if (job.status !== 'completed') {
+            throw new TTSJobError(job.status === 'cancelled' ? 'TTS job was cancelled' : `TTS processing failed: ${job.error}`, { job });
+        }
+        return job;
+    }
+
+    streamJob(jobId, signal, onProgress) {
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) return reject(new TTSAbortError());
+
+            // EventSource cannot send headers, so a key goes in the query string
+            const query = this.apiKey ? `?api_key=${encodeURIComponent(this.apiKey)}` : '';
+            const source = new this.EventSource(this.url(`/api/job/${encodeURIComponent(jobId)}/events${query}`));
+
+            const finish = (callback, value) => {
+                source.close();
+                signal.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+            const onAbort = () => finish(reject, new TTSAbortError());
+            signal.addEventListener('abort', onAbort, { once: true });
+
+            source.addEventListener('status', (event) => {
+                const job = JSON.parse(event.data);
+                onProgress?.(job);
+                if (FINAL_STATUSES.includes(job.status)) {
+                    finish(resolve, job);
+                }
+            });
+
+            source.onerror = () => finish(reject, new TTSNetworkError('Event stream connection lost'));
+        });
+    }
+
+    async pollJob(jobId, signal, onProgress) {
+        for (;;) {
+            const job = await this.getJob(jobId, { signal });
+            onProgress?.(job);
+            if (FINAL_STATUSES.includes(job.status)) {
+                return job;
+            }
+            await sleep(this.pollInterval, signal);
+        }
+    }
+
+    // Create a job and wait for its audio. Aborting also cancels the job on the backend.
+    async synthesize(text, { signal, onProgress, ...options } = {}) {
+        const created = await this.createJob(text, { ...options, signal });
+        onProgress?.({ id: created.jobId, status: created.status, progress: 0, queuePosition: created.queuePosition });
+
+        try {
+            return await this.waitForJob(created.jobId, { signal, onProgress });
+        } catch (error) {
+            if (error instanceof TTSAbortError) {
+                this.cancelJob(created.jobId).catch(() => {});
+            }
+            throw error;
+        }
+    }
+
+    // URL for the streaming endpoint, usable directly as an <audio> src
+    streamUrl(text, options = {}) {
+        const params = new URLSearchParams({ ...options, text });
+        if (this.apiKey) params.set('api_key', this.apiKey);
+        return this.url(`/api/tts/stream?${params}`);
+    }
+}